@@ -6,6 +6,8 @@ import authRoutes from "./routes/auth.route.js";
 import githubRoutes from "./routes/github.route.js";
 import repositoryRoutes from "./routes/repository.route.js";
 import badgeRoutes from "./routes/badge.route.js";
+import jobRoutes from "./routes/job.route.js";
+import invitationRoutes from "./routes/invitation.route.js";
 import { captureRawBody } from "./middleware/webhook.middleware.js";
 
 const app = express();
@@ -40,5 +42,7 @@ app.use("/auth", authRoutes);
 app.use("/github", githubRoutes);
 app.use("/api/repositories", repositoryRoutes);
 app.use("/api/badges", badgeRoutes);
+app.use("/api/jobs", jobRoutes);
+app.use("/api/invitations", invitationRoutes);
 
 export default app;
@@ -1,34 +1,132 @@
+import crypto from "crypto";
 import axios from "axios";
+import mongoose from "mongoose";
 import { ApiResponse } from "../utils/api-response.js";
 import User from "../models/user.model.js";
-import { generateToken, getCookieOptions } from "../utils/jwt.js";
+import Session, { REFRESH_TOKEN_TTL_MS } from "../models/session.model.js";
+import AuthCode from "../models/auth-code.model.js";
+import Invitation from "../models/invitation.model.js";
+import UserBadge from "../models/user-badge.model.js";
+import {
+  generateToken,
+  getCookieOptions,
+  generateStateToken,
+  verifyStateToken,
+} from "../utils/jwt.js";
 
+// The refresh token cookie is only sent to the auth routes
+const getRefreshCookieOptions = () =>
+  getCookieOptions({ maxAge: REFRESH_TOKEN_TTL_MS, path: "/auth" });
+
+/**
+ * Set the access and refresh token cookies for a session
+ * @param {Object} res - Express response
+ * @param {string} accessToken - Access token JWT
+ * @param {string} refreshToken - Refresh token
+ */
+const setAuthCookies = (res, accessToken, refreshToken) => {
+  res.cookie("authToken", accessToken, getCookieOptions());
+  res.cookie("refreshToken", refreshToken, getRefreshCookieOptions());
+};
+
+/**
+ * Get the extension origins allowed to receive the OAuth result, e.g.
+ * EXTENSION_ORIGINS="chrome-extension://<id>,moz-extension://<id>"
+ * @returns {string[]} Allowed origins
+ */
+const getExtensionOrigins = () =>
+  (process.env.EXTENSION_ORIGINS || "")
+    .split(",")
+    .map((origin) => origin.trim())
+    .filter(Boolean);
+
+/**
+ * Serialize a value for embedding in an inline script
+ * @param {*} value - Value to serialize
+ * @returns {string} JSON safe to place inside a <script> tag
+ */
+const toScriptJson = (value) => JSON.stringify(value).replace(/</g, "\\u003c");
+
+// The state cookie must survive GitHub's top-level redirect back to us
+const getStateCookieOptions = () =>
+  getCookieOptions({
+    maxAge: 10 * 60 * 1000,
+    path: "/auth/github",
+    sameSite: "lax",
+  });
+
+/**
+ * Only allow post-login return paths on our own frontend
+ * Whitespace and control characters are rejected since the URL parser
+ * strips some of them, turning e.g. "/\t/evil.example" into "//evil.example"
+ * @param {string} returnTo - Requested return path
+ * @returns {string} Safe relative path
+ */
+const getSafeReturnPath = (returnTo) =>
+  typeof returnTo === "string" &&
+  returnTo.startsWith("/") &&
+  !returnTo.startsWith("//") &&
+  !returnTo.includes("\\") &&
+  !/[\s\x00-\x1f\x7f]/.test(returnTo)
+    ? returnTo
+    : "/home";
+
+// GET /auth/github - Redirect to GitHub with a signed state (and PKCE for the extension)
 const githubRedirect = (req, res) => {
   const clientId = process.env.GITHUB_CLIENT_ID;
-  let redirectUri = process.env.GITHUB_CALLBACK_URL;
-  const scope = "user:email";
+  const redirectUri = process.env.GITHUB_CALLBACK_URL;
+  // admin:repo_hook lets us install webhooks on imported repositories
+  const scope = "user:email admin:repo_hook";
 
-  // Preserve the source parameter for extension detection
-  if (req.query.source === "extension") {
-    redirectUri += (redirectUri.includes("?") ? "&" : "?") + "source=extension";
+  const source = req.query.source === "extension" ? "extension" : "web";
+  const codeChallenge = req.query.code_challenge || null;
+
+  // PKCE binds the exchange code to the client that started the login
+  if (codeChallenge) {
+    if (
+      (req.query.code_challenge_method || "S256") !== "S256" ||
+      !/^[A-Za-z0-9_-]{43,128}$/.test(codeChallenge)
+    ) {
+      return res
+        .status(400)
+        .json(new ApiResponse(400, "Invalid PKCE code challenge"));
+    }
   }
 
+  // The nonce ties the state to this browser, preventing login CSRF
+  const nonce = crypto.randomBytes(16).toString("hex");
+  const state = generateStateToken({
+    nonce,
+    source,
+    returnTo: getSafeReturnPath(req.query.returnTo),
+    codeChallenge,
+  });
+  res.cookie("oauthState", nonce, getStateCookieOptions());
+
   const url = `https://github.com/login/oauth/authorize?client_id=${clientId}&redirect_uri=${encodeURIComponent(
     redirectUri
-  )}&scope=${encodeURIComponent(scope)}`;
+  )}&scope=${encodeURIComponent(scope)}&state=${encodeURIComponent(state)}`;
 
   return res.redirect(url);
 };
 
 const githubCallback = async (req, res) => {
   try {
-    const code = req.query.code;
+    const { code, state } = req.query;
     if (!code) {
       return res
         .status(400)
         .json(new ApiResponse(400, "Missing code from GitHub"));
     }
 
+    // The state must be ours and started in this browser
+    const statePayload = verifyStateToken(state);
+    const stateNonce = req.cookies?.oauthState;
+    res.clearCookie("oauthState", getStateCookieOptions());
+    if (!statePayload || !stateNonce || statePayload.nonce !== stateNonce) {
+      return res.status(400).json(new ApiResponse(400, "Invalid OAuth state"));
+    }
+
     const tokenRes = await axios.post(
       "https://github.com/login/oauth/access_token",
       {
@@ -59,28 +157,41 @@ const githubCallback = async (req, res) => {
     } = ghUserRes.data;
 
     let email = profileEmail; // Try to get email from profile first
+    // Only addresses GitHub has verified may be used to match invitations
+    let emailVerified = false;
 
-    // If no email in profile, try to fetch from emails endpoint
-    if (!email) {
-      try {
-        const ghEmailsRes = await axios.get(
-          "https://api.github.com/user/emails",
-          {
-            headers: { Authorization: `token ${accessToken}` },
-          }
-        );
+    // Look the address up on the emails endpoint to learn whether it is
+    // verified, preferring the profile email, then the primary one
+    try {
+      const ghEmailsRes = await axios.get(
+        "https://api.github.com/user/emails",
+        {
+          headers: { Authorization: `token ${accessToken}` },
+        }
+      );
+
+      const emails = Array.isArray(ghEmailsRes.data) ? ghEmailsRes.data : [];
+      const verifiedEmails = emails.filter((e) => e.verified);
+      const verifiedEmailObj =
+        verifiedEmails.find(
+          (e) => e.email.toLowerCase() === profileEmail?.toLowerCase()
+        ) ||
+        verifiedEmails.find((e) => e.primary) ||
+        verifiedEmails[0];
 
-        const primaryEmailObj = Array.isArray(ghEmailsRes.data)
-          ? ghEmailsRes.data.find((e) => e.primary) || ghEmailsRes.data[0]
-          : null;
+      if (verifiedEmailObj) {
+        email = verifiedEmailObj.email;
+        emailVerified = true;
+      } else if (!email) {
+        const primaryEmailObj = emails.find((e) => e.primary) || emails[0];
         email = primaryEmailObj ? primaryEmailObj.email : null;
-      } catch (emailError) {
-        console.warn(
-          "Could not fetch user emails:",
-          emailError.response?.data?.message || emailError.message
-        );
-        // Continue without email for now
       }
+    } catch (emailError) {
+      console.warn(
+        "Could not fetch user emails:",
+        emailError.response?.data?.message || emailError.message
+      );
+      // Continue without a verified email for now
     }
 
     if (!email) {
@@ -94,16 +205,23 @@ const githubCallback = async (req, res) => {
     // Check if user exists by GitHub ID
     let user = await User.findOne({ githubId });
     if (user) {
+      if (user.isPlaceholder) {
+        console.log(`Claiming placeholder account for ${githubUsername}`);
+      }
+
       // Update existing user's token and username
       user.githubToken = accessToken;
       user.githubUsername = githubUsername;
       user.email = email; // Update email in case it changed on GitHub
+      user.emailVerified = emailVerified;
       user.githubAvatar = githubAvatar;
-      await user.save();
+      user.isPlaceholder = false;
+      user.onboardingComplete = true;
     } else {
       // Create new user from GitHub info
-      user = await User.create({
+      user = new User({
         email,
+        emailVerified,
         githubId,
         githubUsername,
         githubToken: accessToken,
@@ -112,20 +230,52 @@ const githubCallback = async (req, res) => {
       });
     }
 
-    // Generate JWT token and set cookie
-    const token = generateToken(user);
-    const cookieOptions = getCookieOptions();
-    console.log("🍪 Setting cookie with options:", cookieOptions);
-    res.cookie("authToken", token, cookieOptions);
+    // Another GitHub account may still hold this login from before a rename,
+    // free it as the login is unique and saving would fail otherwise
+    const staleHolder = await User.releaseGitHubUsername(
+      githubUsername,
+      githubId
+    );
+    if (staleHolder) {
+      console.log(
+        `Renamed stale holder of ${githubUsername} to ${staleHolder.githubUsername}`
+      );
+    }
+
+    await user.save();
 
-    // Check if this is coming from extension (check referrer or add query param)
-    const isExtension =
-      req.query.source === "extension" ||
-      req.headers.origin?.startsWith("chrome-extension://") ||
-      req.headers.origin?.startsWith("moz-extension://");
+    // Accept open repository invitations addressed to this user
+    try {
+      const accepted = await Invitation.acceptAllForUser(user);
+      if (accepted.length > 0) {
+        console.log(
+          `Accepted ${accepted.length} invitation(s) for ${user.githubUsername}`
+        );
+      }
+    } catch (inviteError) {
+      // Signing in shouldn't fail because of an invitation
+      console.error("Error accepting invitations:", inviteError);
+    }
+
+    // Hand the client a single-use code rather than a token, it is traded
+    // for a session via POST /auth/exchange
+    const oneTimeCode = await AuthCode.issue(user, {
+      codeChallenge: statePayload.codeChallenge,
+    });
+
+    // The client that started the login is recorded in the state
+    const isExtension = statePayload.source === "extension";
 
     if (isExtension) {
-      // Return a page that closes the popup and notifies the parent
+      const extensionOrigins = getExtensionOrigins();
+      if (extensionOrigins.length === 0) {
+        console.warn(
+          "EXTENSION_ORIGINS not configured, cannot notify extension"
+        );
+      }
+
+      // Return a page that closes the popup and notifies the parent. The
+      // message is only delivered if the opener is one of our extensions
       return res.send(`
         <!DOCTYPE html>
         <html>
@@ -143,14 +293,13 @@ const githubCallback = async (req, res) => {
             <script>
               // Notify parent window and close popup
               if (window.opener) {
-                window.opener.postMessage({ type: 'AUTH_SUCCESS', user: ${JSON.stringify(
-                  {
-                    userId: user._id,
-                    email: user.email,
-                    githubUsername: user.githubUsername,
-                    onboardingComplete: user.onboardingComplete,
-                  }
-                )} }, '*');
+                var message = ${toScriptJson({
+                  type: "AUTH_SUCCESS",
+                  code: oneTimeCode,
+                })};
+                ${toScriptJson(extensionOrigins)}.forEach(function (origin) {
+                  window.opener.postMessage(message, origin);
+                });
               }
               // Close this popup window
               setTimeout(() => {
@@ -162,11 +311,19 @@ const githubCallback = async (req, res) => {
       `);
     }
 
-    // For web app (non-extension), include token in URL since cookies might not work cross-origin
+    // For web app (non-extension), pass the exchange code in the URL since
+    // cookies might not work cross-origin
     const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
-    return res.redirect(
-      `${frontendUrl}/home?token=${encodeURIComponent(token)}`
+    let redirectUrl = new URL(
+      getSafeReturnPath(statePayload.returnTo),
+      frontendUrl
     );
+    // Never hand the exchange code to another origin
+    if (redirectUrl.origin !== new URL(frontendUrl).origin) {
+      redirectUrl = new URL("/home", frontendUrl);
+    }
+    redirectUrl.searchParams.set("code", oneTimeCode);
+    return res.redirect(redirectUrl.toString());
   } catch (err) {
     console.error(err.response?.data || err.message || err);
     return res.status(500).json(new ApiResponse(500, "GitHub callback failed"));
@@ -174,10 +331,17 @@ const githubCallback = async (req, res) => {
 };
 
 // POST /auth/logout
-const logout = (req, res) => {
+const logout = async (req, res) => {
   try {
-    // Clear the authentication cookie using same options as when setting
+    // Revoke the session so its refresh token can't be used again
+    await Session.updateOne(
+      { _id: req.tokenPayload.sessionId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: "logout" } }
+    );
+
+    // Clear the authentication cookies using same options as when setting
     res.clearCookie("authToken", getCookieOptions());
+    res.clearCookie("refreshToken", getRefreshCookieOptions());
 
     return res
       .status(200)
@@ -188,12 +352,178 @@ const logout = (req, res) => {
   }
 };
 
+// POST /auth/refresh - Exchange a refresh token for new access and refresh tokens
+const refresh = async (req, res) => {
+  try {
+    // Browsers send the cookie, other clients the token in the body
+    const presentedToken = req.cookies?.refreshToken || req.body?.refreshToken;
+    if (!presentedToken) {
+      return res
+        .status(401)
+        .json(new ApiResponse(401, "Refresh token required"));
+    }
+
+    const { session, refreshToken, error, conflict } =
+      await Session.rotate(presentedToken);
+
+    // Leave the cookies alone, the concurrent request that won has just set
+    // fresh ones
+    if (conflict) {
+      return res.status(409).json(new ApiResponse(409, error));
+    }
+
+    if (error) {
+      res.clearCookie("authToken", getCookieOptions());
+      res.clearCookie("refreshToken", getRefreshCookieOptions());
+      return res.status(401).json(new ApiResponse(401, error));
+    }
+
+    const user = await User.findById(session.user);
+    if (!user) {
+      await session.revoke("user_revoked");
+      return res.status(401).json(new ApiResponse(401, "User not found"));
+    }
+
+    const accessToken = generateToken(user, session._id);
+    setAuthCookies(res, accessToken, refreshToken);
+
+    return res.status(200).json(
+      new ApiResponse(200, "Token refreshed", {
+        accessToken,
+        refreshToken,
+        expiresAt: session.expiresAt,
+      })
+    );
+  } catch (error) {
+    console.error("Refresh token error:", error);
+    return res
+      .status(500)
+      .json(new ApiResponse(500, "Failed to refresh token"));
+  }
+};
+
+// POST /auth/exchange - Trade a one-time code from the OAuth callback for a session
+const exchangeCode = async (req, res) => {
+  try {
+    const { code, codeVerifier } = req.body || {};
+    if (!code || typeof code !== "string") {
+      return res
+        .status(400)
+        .json(new ApiResponse(400, "Exchange code is required"));
+    }
+
+    const authCode = await AuthCode.redeem(code);
+    if (!authCode) {
+      return res
+        .status(401)
+        .json(new ApiResponse(401, "Invalid or expired exchange code"));
+    }
+
+    // Codes issued for a PKCE login can only be redeemed with the verifier
+    if (authCode.codeChallenge && !authCode.verifyCodeVerifier(codeVerifier)) {
+      return res
+        .status(401)
+        .json(new ApiResponse(401, "Invalid PKCE code verifier"));
+    }
+
+    const user = await User.findById(authCode.user);
+    if (!user) {
+      return res.status(401).json(new ApiResponse(401, "User not found"));
+    }
+
+    const { session, refreshToken } = await Session.createForUser(user, req);
+    const accessToken = generateToken(user, session._id);
+    setAuthCookies(res, accessToken, refreshToken);
+
+    return res.status(200).json(
+      new ApiResponse(200, "Signed in", {
+        accessToken,
+        refreshToken,
+        expiresAt: session.expiresAt,
+        user: {
+          userId: user._id,
+          email: user.email,
+          githubUsername: user.githubUsername,
+          onboardingComplete: user.onboardingComplete,
+        },
+      })
+    );
+  } catch (error) {
+    console.error("Exchange code error:", error);
+    return res
+      .status(500)
+      .json(new ApiResponse(500, "Failed to exchange code"));
+  }
+};
+
+// GET /auth/sessions - List the current user's active sessions
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.findActiveByUser(req.user._id);
+
+    return res.status(200).json(
+      new ApiResponse(
+        200,
+        "Sessions retrieved",
+        sessions.map((session) => ({
+          id: session._id,
+          userAgent: session.userAgent,
+          ipAddress: session.ipAddress,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          expiresAt: session.expiresAt,
+          current: session._id.toString() === req.tokenPayload.sessionId,
+        }))
+      )
+    );
+  } catch (error) {
+    console.error("Get sessions error:", error);
+    return res.status(500).json(new ApiResponse(500, "Failed to get sessions"));
+  }
+};
+
+// DELETE /auth/sessions/:id - Revoke one of the current user's sessions
+const revokeSession = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json(new ApiResponse(404, "Session not found"));
+    }
+
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      revokedAt: null,
+    });
+
+    if (!session) {
+      return res.status(404).json(new ApiResponse(404, "Session not found"));
+    }
+
+    await session.revoke("user_revoked");
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, "Session revoked", { id: session._id }));
+  } catch (error) {
+    console.error("Revoke session error:", error);
+    return res
+      .status(500)
+      .json(new ApiResponse(500, "Failed to revoke session"));
+  }
+};
+
 // GET /auth/me - Protected route to get current user info
-const getCurrentUser = (req, res) => {
+const getCurrentUser = async (req, res) => {
   try {
     // req.user is populated by authenticateToken middleware
     const user = req.user;
 
+    // Badges not yet seen, including ones earned before signing up
+    const waitingBadges = await UserBadge.countDocuments({
+      user: user._id,
+      acknowledged: false,
+    });
+
     return res.status(200).json(
       new ApiResponse(200, "User data retrieved", {
         userId: user._id,
@@ -202,6 +532,11 @@ const getCurrentUser = (req, res) => {
         githubUsername: user.githubUsername,
         githubAvatar: user.githubAvatar,
         onboardingComplete: user.onboardingComplete,
+        waitingBadges,
+        waitingBadgesMessage:
+          waitingBadges > 0
+            ? `${waitingBadges} ${waitingBadges === 1 ? "badge" : "badges"} waiting for you`
+            : null,
       })
     );
   } catch (error) {
@@ -212,4 +547,14 @@ const getCurrentUser = (req, res) => {
   }
 };
 
-export { logout, getCurrentUser, githubRedirect, githubCallback };
+export {
+  logout,
+  refresh,
+  exchangeCode,
+  getSessions,
+  revokeSession,
+  getCurrentUser,
+  githubRedirect,
+  githubCallback,
+  getSafeReturnPath,
+};
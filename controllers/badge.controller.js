@@ -148,19 +148,6 @@ const getUserBadgesForRepository = async (req, res) => {
     const { id: repositoryId } = req.params;
     const userId = req.user._id;
 
-    // Verify user has access to this repository
-    const userRepository = await UserRepository.findOne({
-      user: userId,
-      repository: repositoryId,
-      active: true,
-    });
-
-    if (!userRepository) {
-      return res
-        .status(404)
-        .json(new ApiResponse(404, "Repository not found or access denied"));
-    }
-
     // Get user's badges for this repository
     const userBadges = await UserBadge.find({
       user: userId,
@@ -190,7 +177,10 @@ const getUserBadgesForRepository = async (req, res) => {
     const badgeProgress = allBadges.map((badge) => {
       const userBadge = userBadges.find((ub) => ub.badge._id.equals(badge._id));
       const actualValue = BadgeService.getActualValue(contributor, badge);
-      const progress = Math.min((actualValue / badge.criteriaValue) * 100, 100);
+      const { conditions, progress } = BadgeService.getBadgeProgress(
+        contributor,
+        badge
+      );
 
       return {
         badge: {
@@ -202,10 +192,12 @@ const getUserBadgesForRepository = async (req, res) => {
           difficulty: badge.difficulty,
           criteriaType: badge.criteriaType,
           criteriaValue: badge.criteriaValue,
+          rules: badge.rules,
         },
         earned: !!userBadge,
         awardedAt: userBadge?.awardedAt,
         actualValue,
+        conditions,
         progress,
         progressPercentage: Math.round(progress),
       };
@@ -241,19 +233,6 @@ const getRepositoryLeaderboard = async (req, res) => {
     const { id: repositoryId } = req.params;
     const { limit = 10 } = req.query;
     const userId = req.user._id;
-    // Verify user has access to this repository
-    const userRepository = await UserRepository.findOne({
-      user: userId,
-      repository: repositoryId,
-      active: true,
-    });
-
-    if (!userRepository) {
-      return res
-        .status(404)
-        .json(new ApiResponse(404, "Repository not found or access denied"));
-    }
-
     // Get leaderboard data
     const leaderboard = await UserBadge.aggregate([
       { $match: { repository: new mongoose.Types.ObjectId(repositoryId) } },
@@ -312,6 +291,38 @@ const getRepositoryLeaderboard = async (req, res) => {
   }
 };
 
+/**
+ * Mark the current user's waiting badges as seen
+ * POST /api/badges/acknowledge
+ */
+const acknowledgeBadges = async (req, res) => {
+  try {
+    const { badgeIds = null } = req.body || {};
+
+    const query = { user: req.user._id, acknowledged: false };
+    if (Array.isArray(badgeIds)) {
+      query._id = {
+        $in: badgeIds.filter((id) => mongoose.isValidObjectId(id)),
+      };
+    }
+
+    const result = await UserBadge.updateMany(query, {
+      $set: { acknowledged: true, acknowledgedAt: new Date() },
+    });
+
+    return res.status(200).json(
+      new ApiResponse(200, "Badges acknowledged", {
+        acknowledged: result.modifiedCount,
+      })
+    );
+  } catch (error) {
+    console.error("Acknowledge badges error:", error);
+    return res
+      .status(500)
+      .json(new ApiResponse(500, "Failed to acknowledge badges"));
+  }
+};
+
 /**
  * Get user's badge progress for a repository
  * GET /api/badges/repository/:repositoryId/progress
@@ -320,20 +331,7 @@ const getUserBadgeProgress = async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user._id;
-    console.log(id);
-    console.log("hi");
-    // Verify user has access to this repository
-    const userRepository = await UserRepository.findOne({
-      user: userId,
-      repository: id,
-      active: true,
-    }).populate("repository");
-
-    if (!userRepository) {
-      return res
-        .status(404)
-        .json(new ApiResponse(404, "Repository not found or access denied"));
-    }
+    const { repository, membership } = req;
 
     // Get user's contribution statistics
     const contributorStats = await BadgeService.getContributorStats(id, userId);
@@ -367,9 +365,9 @@ const getUserBadgeProgress = async (req, res) => {
     const badgeProgress = allBadges.map((badge) => {
       const isAwarded = awardedBadgeIds.has(badge._id.toString());
       const currentValue = BadgeService.getActualValue(userStats, badge);
-      const progress = Math.min(
-        (currentValue / badge.criteriaValue) * 100,
-        100
+      const { operator, conditions, progress } = BadgeService.getBadgeProgress(
+        userStats,
+        badge
       );
 
       return {
@@ -378,11 +376,17 @@ const getUserBadgeProgress = async (req, res) => {
         description: badge.description,
         criteriaType: badge.criteriaType,
         criteriaValue: badge.criteriaValue,
+        rules: badge.rules,
         icon: badge.icon,
         color: badge.color,
         difficulty: badge.difficulty,
         isAwarded,
         currentValue,
+        operator,
+        conditions: conditions.map((condition) => ({
+          ...condition,
+          progress: Math.round(condition.progress),
+        })),
         progress: Math.round(progress),
       };
     });
@@ -445,10 +449,10 @@ const getUserBadgeProgress = async (req, res) => {
         userStats,
         badgeProgress,
         chartData,
-        userRole: userRepository.role,
+        userRole: membership.role,
         repository: {
-          name: userRepository.repository.name,
-          fullName: userRepository.repository.fullName,
+          name: repository.name,
+          fullName: repository.fullName,
         },
       })
     );
@@ -460,9 +464,243 @@ const getUserBadgeProgress = async (req, res) => {
   }
 };
 
+// Badge fields repository managers are allowed to set
+const EDITABLE_BADGE_FIELDS = [
+  "name",
+  "description",
+  "criteriaType",
+  "criteriaValue",
+  "icon",
+  "color",
+  "difficulty",
+  "active",
+  "rules",
+  "window",
+];
+
+const pickBadgeFields = (body = {}) =>
+  EDITABLE_BADGE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) {
+      fields[key] = body[key];
+    }
+    return fields;
+  }, {});
+
+/**
+ * Map badge save errors to API responses
+ */
+const sendBadgeWriteError = (res, error, fallbackMessage) => {
+  if (error.name === "ValidationError") {
+    const errors = Object.values(error.errors).map((err) => ({
+      field: err.path,
+      message: err.message,
+    }));
+    return res
+      .status(400)
+      .json(new ApiResponse(400, "Invalid badge data", { errors }));
+  }
+
+  if (error.code === 11000) {
+    return res
+      .status(409)
+      .json(
+        new ApiResponse(
+          409,
+          "A badge with the same rules already exists for this repository"
+        )
+      );
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json(new ApiResponse(500, fallbackMessage));
+};
+
+/**
+ * List all badges (including archived) for a repository
+ * GET /api/repositories/:id/badges
+ */
+const listRepositoryBadges = async (req, res) => {
+  try {
+    const { id: repositoryId } = req.params;
+
+    const badges = await Badge.findByRepository(repositoryId, true).populate(
+      "awardedCount"
+    );
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, "Badges retrieved", { badges }));
+  } catch (error) {
+    console.error("List badges error:", error);
+    return res
+      .status(500)
+      .json(new ApiResponse(500, "Failed to retrieve badges"));
+  }
+};
+
+/**
+ * Create a badge for a repository
+ * POST /api/repositories/:id/badges
+ */
+const createBadge = async (req, res) => {
+  try {
+    const repository = req.repository;
+
+    const badge = await Badge.create({
+      ...pickBadgeFields(req.body),
+      repository: repository._id,
+      createdBy: req.user._id,
+      isDefault: false,
+    });
+    await repository.addBadge(badge._id);
+
+    // A milestone the repository has already passed can't be crossed again,
+    // so current members get it now
+    try {
+      const awards = await BadgeService.awardReachedMilestone(badge);
+      if (awards.length > 0) {
+        console.log(`Awarded ${badge.name} to ${awards.length} member(s)`);
+      }
+    } catch (awardError) {
+      console.error("Error awarding reached milestone:", awardError);
+    }
+
+    return res
+      .status(201)
+      .json(new ApiResponse(201, "Badge created successfully", { badge }));
+  } catch (error) {
+    return sendBadgeWriteError(res, error, "Failed to create badge");
+  }
+};
+
+/**
+ * Update a repository badge
+ * PATCH /api/repositories/:id/badges/:badgeId
+ */
+const updateBadge = async (req, res) => {
+  try {
+    const { id: repositoryId, badgeId } = req.params;
+
+    if (!mongoose.isValidObjectId(badgeId)) {
+      return res.status(404).json(new ApiResponse(404, "Badge not found"));
+    }
+
+    const badge = await Badge.findOne({
+      _id: badgeId,
+      repository: repositoryId,
+    });
+    if (!badge) {
+      return res.status(404).json(new ApiResponse(404, "Badge not found"));
+    }
+
+    const updates = pickBadgeFields(req.body);
+    if (Object.keys(updates).length === 0) {
+      return res
+        .status(400)
+        .json(new ApiResponse(400, "No editable badge fields provided"));
+    }
+
+    Object.assign(badge, updates);
+    await badge.save();
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, "Badge updated successfully", { badge }));
+  } catch (error) {
+    return sendBadgeWriteError(res, error, "Failed to update badge");
+  }
+};
+
+/**
+ * Archive (deactivate) a repository badge, keeping existing awards
+ * POST /api/repositories/:id/badges/:badgeId/archive
+ */
+const archiveBadge = async (req, res) => {
+  try {
+    const { id: repositoryId, badgeId } = req.params;
+
+    if (!mongoose.isValidObjectId(badgeId)) {
+      return res.status(404).json(new ApiResponse(404, "Badge not found"));
+    }
+
+    const badge = await Badge.findOneAndUpdate(
+      { _id: badgeId, repository: repositoryId },
+      { active: false },
+      { new: true }
+    );
+    if (!badge) {
+      return res.status(404).json(new ApiResponse(404, "Badge not found"));
+    }
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, "Badge archived successfully", { badge }));
+  } catch (error) {
+    console.error("Archive badge error:", error);
+    return res
+      .status(500)
+      .json(new ApiResponse(500, "Failed to archive badge"));
+  }
+};
+
+/**
+ * Delete a repository badge that has never been awarded
+ * DELETE /api/repositories/:id/badges/:badgeId
+ */
+const deleteBadge = async (req, res) => {
+  try {
+    const { id: repositoryId, badgeId } = req.params;
+
+    if (!mongoose.isValidObjectId(badgeId)) {
+      return res.status(404).json(new ApiResponse(404, "Badge not found"));
+    }
+
+    const badge = await Badge.findOne({
+      _id: badgeId,
+      repository: repositoryId,
+    });
+    if (!badge) {
+      return res.status(404).json(new ApiResponse(404, "Badge not found"));
+    }
+
+    // Awarded badges are archived instead so contributors keep them
+    const awardCount = await UserBadge.countDocuments({ badge: badge._id });
+    if (awardCount > 0) {
+      return res
+        .status(409)
+        .json(
+          new ApiResponse(
+            409,
+            "Badge has already been awarded; archive it instead",
+            { awardCount }
+          )
+        );
+    }
+
+    await badge.deleteOne();
+    await Repository.updateOne(
+      { _id: repositoryId },
+      { $pull: { badges: badge._id } }
+    );
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, "Badge deleted successfully"));
+  } catch (error) {
+    console.error("Delete badge error:", error);
+    return res.status(500).json(new ApiResponse(500, "Failed to delete badge"));
+  }
+};
+
 export {
   checkAndAwardBadges,
+  acknowledgeBadges,
   getUserBadgesForRepository,
   getUserBadgeProgress,
   getRepositoryLeaderboard,
+  listRepositoryBadges,
+  createBadge,
+  updateBadge,
+  archiveBadge,
+  deleteBadge,
 };
@@ -1,30 +1,37 @@
 import crypto from "crypto";
 import axios from "axios";
+import mongoose from "mongoose";
 import { ApiResponse } from "../utils/api-response.js";
 import User from "../models/user.model.js";
 import WebhookEvent from "../models/webhook-event.model.js";
+import Repository from "../models/repository.model.js";
+import WebhookProcessor from "../services/webhookProcessor.js";
+import RepositoryWebhookService from "../services/repositoryWebhookService.js";
 
 /**
  * Verify GitHub webhook signature
  * @param {string} payload - Raw request body
  * @param {string} signature - GitHub signature from headers
+ * @param {string} secret - Secret the delivery was signed with
  * @returns {boolean} - Whether signature is valid
  */
-const verifyGitHubSignature = (payload, signature) => {
-  const webhookSecret = process.env.WEBHOOK_SECRET;
-  if (!webhookSecret) {
-    console.error("WEBHOOK_SECRET not configured");
+const verifyGitHubSignature = (payload, signature, secret) => {
+  if (!secret) {
+    console.error("Webhook secret not configured");
     return false;
   }
 
-  const expectedSignature = `sha256=${crypto
-    .createHmac("sha256", webhookSecret)
-    .update(payload, "utf8")
-    .digest("hex")}`;
+  const expectedSignature = Buffer.from(
+    `sha256=${crypto
+      .createHmac("sha256", secret)
+      .update(payload, "utf8")
+      .digest("hex")}`
+  );
+  const receivedSignature = Buffer.from(signature);
 
-  return crypto.timingSafeEqual(
-    Buffer.from(signature),
-    Buffer.from(expectedSignature)
+  return (
+    receivedSignature.length === expectedSignature.length &&
+    crypto.timingSafeEqual(receivedSignature, expectedSignature)
   );
 };
 
@@ -38,8 +45,15 @@ const handleWebhook = async (req, res) => {
     const event = req.headers["x-github-event"];
     const deliveryId = req.headers["x-github-delivery"];
 
-    // Verify webhook signature
-    if (!signature || !verifyGitHubSignature(req.rawBody, signature)) {
+    // GitHub App deliveries are signed with the app's secret, repository
+    // hooks with the repository's own secret when it has one
+    const secret =
+      req.headers["x-github-hook-installation-target-type"] === "integration"
+        ? process.env.GITHUB_APP_WEBHOOK_SECRET
+        : await RepositoryWebhookService.getSigningSecret(
+            req.body?.repository?.id
+          );
+    if (!signature || !verifyGitHubSignature(req.rawBody, signature, secret)) {
       console.log("Invalid GitHub webhook signature");
       return res.status(401).json(new ApiResponse(401, "Invalid signature"));
     }
@@ -50,6 +64,14 @@ const handleWebhook = async (req, res) => {
     console.log("Repository:", payload.repository?.full_name);
     console.log("Sender:", payload.sender?.login);
 
+    // GitHub redeliveries reuse the delivery ID, acknowledge without reprocessing
+    if (await WebhookEvent.exists({ deliveryId })) {
+      console.log(`Duplicate delivery ${deliveryId}, skipping`);
+      return res
+        .status(200)
+        .json(new ApiResponse(200, "Duplicate delivery ignored"));
+    }
+
     // Find associated user
     let associatedUser = null;
     if (payload.repository?.owner?.login || payload.sender?.login) {
@@ -61,9 +83,10 @@ const handleWebhook = async (req, res) => {
       });
     }
 
-    // Store webhook event in database
+    // Store webhook event in database, the worker processes it from there
+    let storedEvent;
     try {
-      await WebhookEvent.create({
+      storedEvent = await WebhookEvent.create({
         eventType: event,
         deliveryId,
         repository: payload.repository
@@ -85,47 +108,24 @@ const handleWebhook = async (req, res) => {
       });
       console.log("Webhook event stored in database");
     } catch (dbError) {
-      console.error("Failed to store webhook event:", dbError);
+      // A concurrent delivery with the same ID won the insert
+      if (dbError.code === 11000) {
+        console.log(`Duplicate delivery ${deliveryId}, skipping`);
+        return res
+          .status(200)
+          .json(new ApiResponse(200, "Duplicate delivery ignored"));
+      }
+      throw dbError;
     }
 
-    // Handle different event types
-    switch (event) {
-      case "push":
-        await handlePushEvent(payload);
-        break;
-      case "pull_request":
-        await handlePullRequestEvent(payload);
-        break;
-      case "issues":
-        await handleIssueEvent(payload);
-        break;
-      case "commit_comment":
-        await handleCommitCommentEvent(payload);
-        break;
-      case "create":
-        await handleCreateEvent(payload);
-        break;
-      case "delete":
-        await handleDeleteEvent(payload);
-        break;
-      case "fork":
-        await handleForkEvent(payload);
-        break;
-      case "release":
-        await handleReleaseEvent(payload);
-        break;
-      case "star":
-        await handleStarEvent(payload);
-        break;
-      case "watch":
-        await handleWatchEvent(payload);
-        break;
-      default:
-        console.log(`Unhandled event type: ${event}`);
-        await handleGenericEvent(event, payload);
-    }
+    // Respond before GitHub's 10 second delivery timeout
+    WebhookProcessor.notify();
 
-    return res.status(200).json(new ApiResponse(200, "Webhook processed"));
+    return res.status(202).json(
+      new ApiResponse(202, "Webhook accepted", {
+        eventId: storedEvent._id,
+      })
+    );
   } catch (error) {
     console.error("Webhook processing error:", error);
     return res
@@ -134,181 +134,24 @@ const handleWebhook = async (req, res) => {
   }
 };
 
-/**
- * Handle push events (new commits)
- */
-const handlePushEvent = async (payload) => {
-  const { repository, pusher, commits, ref } = payload;
-
-  console.log(`Push to ${repository.full_name} on ${ref} by ${pusher.name}`);
-  console.log(`${commits.length} commit(s) pushed:`);
-
-  commits.forEach((commit, index) => {
-    console.log(
-      `  ${index + 1}. ${commit.message} (${commit.id.substring(0, 7)}) by ${
-        commit.author.name
-      }`
-    );
-  });
-
-  // Find user by repository owner or pusher
-  const user = await User.findOne({
-    $or: [
-      { githubUsername: repository.owner.login },
-      { githubUsername: pusher.name },
-    ],
-  });
-
-  if (user) {
-    console.log(`Associated with user: ${user.email}`);
-    // Here you can store the event data, trigger notifications, etc.
-  }
-};
-
-/**
- * Handle pull request events
- */
-const handlePullRequestEvent = async (payload) => {
-  const { action, pull_request, repository, sender } = payload;
-
-  console.log(
-    `PR ${action}: #${pull_request.number} "${pull_request.title}" in ${repository.full_name}`
-  );
-  console.log(`From: ${pull_request.head.ref} → ${pull_request.base.ref}`);
-  console.log(`By: ${sender.login}`);
-
-  const user = await User.findOne({
-    $or: [
-      { githubUsername: repository.owner.login },
-      { githubUsername: sender.login },
-    ],
-  });
-
-  if (user) {
-    console.log(`Associated with user: ${user.email}`);
-  }
-};
-
-/**
- * Handle issue events
- */
-const handleIssueEvent = async (payload) => {
-  const { action, issue, repository, sender } = payload;
-
-  console.log(
-    `Issue ${action}: #${issue.number} "${issue.title}" in ${repository.full_name}`
-  );
-  console.log(`By: ${sender.login}`);
-};
-
-/**
- * Handle commit comment events
- */
-const handleCommitCommentEvent = async (payload) => {
-  const { action, comment, repository, sender } = payload;
-
-  console.log(`Commit comment ${action} in ${repository.full_name}`);
-  console.log(`Comment: ${comment.body}`);
-  console.log(`By: ${sender.login}`);
-};
-
-/**
- * Handle branch/tag creation
- */
-const handleCreateEvent = async (payload) => {
-  const { ref_type, ref, repository, sender } = payload;
-
-  console.log(
-    `${ref_type} created: ${ref} in ${repository.full_name} by ${sender.login}`
-  );
-};
-
-/**
- * Handle branch/tag deletion
- */
-const handleDeleteEvent = async (payload) => {
-  const { ref_type, ref, repository, sender } = payload;
-
-  console.log(
-    `${ref_type} deleted: ${ref} in ${repository.full_name} by ${sender.login}`
-  );
-};
-
-/**
- * Handle repository fork
- */
-const handleForkEvent = async (payload) => {
-  const { forkee, repository, sender } = payload;
-
-  console.log(
-    `Repository forked: ${repository.full_name} → ${forkee.full_name} by ${sender.login}`
-  );
-};
-
-/**
- * Handle release events
- */
-const handleReleaseEvent = async (payload) => {
-  const { action, release, repository, sender } = payload;
-
-  console.log(
-    `Release ${action}: ${release.tag_name} in ${repository.full_name}`
-  );
-  console.log(`Release name: ${release.name}`);
-  console.log(`By: ${sender.login}`);
-};
-
-/**
- * Handle star events
- */
-const handleStarEvent = async (payload) => {
-  const { action, repository, sender } = payload;
-
-  console.log(
-    `Repository ${action === "created" ? "starred" : "unstarred"}: ${
-      repository.full_name
-    } by ${sender.login}`
-  );
-};
-
-/**
- * Handle watch events
- */
-const handleWatchEvent = async (payload) => {
-  const { action, repository, sender } = payload;
-
-  console.log(
-    `Repository ${action}: ${repository.full_name} by ${sender.login}`
-  );
-};
-
-/**
- * Handle any unspecified events
- */
-const handleGenericEvent = async (eventType, payload) => {
-  const { repository, sender } = payload;
-
-  console.log(
-    `Generic event (${eventType}): ${repository?.full_name || "No repo"} by ${
-      sender?.login || "Unknown"
-    }`
-  );
-  console.log("Payload keys:", Object.keys(payload));
-};
-
 /**
  * Get webhook events for the authenticated user
  * GET /github/events
+ * ?status=failed lists failed events; those with no nextAttemptAt have
+ * exhausted their retries
  */
 const getUserEvents = async (req, res) => {
   try {
     const userId = req.user._id;
-    const { page = 1, limit = 20, eventType } = req.query;
+    const { page = 1, limit = 20, eventType, status } = req.query;
 
     const filter = { userId };
     if (eventType) {
       filter.eventType = eventType;
     }
+    if (status) {
+      filter.status = status;
+    }
 
     const events = await WebhookEvent.find(filter)
       .sort({ createdAt: -1 })
@@ -345,6 +188,10 @@ const getEventDetails = async (req, res) => {
     const { id } = req.params;
     const userId = req.user._id;
 
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json(new ApiResponse(404, "Event not found"));
+    }
+
     const event = await WebhookEvent.findOne({ _id: id, userId });
 
     if (!event) {
@@ -362,6 +209,65 @@ const getEventDetails = async (req, res) => {
   }
 };
 
+/**
+ * Re-run a stored webhook event through the handlers (repository owner only)
+ * POST /github/events/:id/replay
+ */
+const replayEvent = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const user = req.user;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json(new ApiResponse(404, "Event not found"));
+    }
+
+    const event = await WebhookEvent.findById(id);
+    if (!event) {
+      return res.status(404).json(new ApiResponse(404, "Event not found"));
+    }
+
+    // Owners of the GitHub repository or of its imported copy may replay
+    const isOwner =
+      !!event.repository?.fullName &&
+      (event.repository.owner === user.githubUsername ||
+        !!(await Repository.exists({
+          fullName: event.repository.fullName.toLowerCase(),
+          owner: user._id,
+        })));
+
+    if (!isOwner) {
+      return res
+        .status(403)
+        .json(
+          new ApiResponse(403, "Only the repository owner can replay events")
+        );
+    }
+
+    console.log(
+      `Replaying ${event.eventType} event ${event._id} (Delivery: ${event.deliveryId})`
+    );
+    event.replayCount += 1;
+    event.lastReplayedAt = new Date();
+    // A replay runs every handler again
+    event.completedHandlers = [];
+    await WebhookProcessor.processEvent(event);
+
+    return res.status(200).json(
+      new ApiResponse(200, "Event replayed", {
+        eventId: event._id,
+        replayCount: event.replayCount,
+        status: event.status,
+        error: event.error,
+        durationMs: event.durationMs,
+      })
+    );
+  } catch (error) {
+    console.error("Replay event error:", error);
+    return res.status(500).json(new ApiResponse(500, "Failed to replay event"));
+  }
+};
+
 /**
  * Fetch user's GitHub repositories
  * GET /api/github/repositories
@@ -379,7 +285,7 @@ const getUserRepositories = async (req, res) => {
     // Fetch repositories from GitHub API
     const response = await axios.get("https://api.github.com/user/repos", {
       headers: {
-        Authorization: `Bearer ${user.githubToken}`,
+        Authorization: `Bearer ${user.getGitHubToken()}`,
         Accept: "application/vnd.github.v3+json",
       },
       params: {
@@ -434,4 +340,10 @@ const getUserRepositories = async (req, res) => {
   }
 };
 
-export { handleWebhook, getUserEvents, getEventDetails, getUserRepositories };
+export {
+  handleWebhook,
+  getUserEvents,
+  getEventDetails,
+  replayEvent,
+  getUserRepositories,
+};
@@ -0,0 +1,274 @@
+import mongoose from "mongoose";
+import { ApiResponse } from "../utils/api-response.js";
+import User from "../models/user.model.js";
+import UserRepository from "../models/user-repository.model.js";
+import Invitation, { INVITATION_TTL_MS } from "../models/invitation.model.js";
+import {
+  generateInvitationToken,
+  verifyInvitationToken,
+} from "../utils/jwt.js";
+
+/**
+ * Build the frontend link an invitee opens to answer an invitation
+ * @param {Object} invitation - Invitation document
+ * @returns {string} - Signed invite link
+ */
+const getInviteUrl = (invitation) => {
+  const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
+  const url = new URL("/invitations", frontendUrl);
+  url.searchParams.set("token", generateInvitationToken(invitation));
+  return url.toString();
+};
+
+/**
+ * Find an existing user an invitation is addressed to
+ * @param {Object} invitation - Invitation document
+ * @returns {Object|null} - User document or null
+ */
+const findInvitee = (invitation) => {
+  if (invitation.email) {
+    return User.findOne({ email: invitation.email, emailVerified: true });
+  }
+
+  // Usernames are stored as GitHub returns them, invitations lowercased
+  const escaped = invitation.githubUsername.replace(
+    /[.*+?^${}()|[\]\\]/g,
+    "\\$&"
+  );
+  return User.findOne({ githubUsername: new RegExp(`^${escaped}$`, "i") });
+};
+
+/**
+ * Load the open invitation an invite link token refers to, checking it is
+ * addressed to the current user
+ * @param {string} token - Invite link token
+ * @param {Object} user - Current user
+ * @returns {Object} - { invitation } or { status, message } on failure
+ */
+const resolveInvitation = async (token, user) => {
+  const decoded = token ? verifyInvitationToken(token) : null;
+  if (!decoded) {
+    return { status: 400, message: "Invalid or expired invitation link" };
+  }
+
+  const invitation = await Invitation.findById(decoded.invitationId);
+  if (!invitation || !invitation.isOpen) {
+    return { status: 410, message: "Invitation is no longer available" };
+  }
+
+  if (!invitation.isFor(user)) {
+    return { status: 403, message: "This invitation is for someone else" };
+  }
+
+  return { invitation };
+};
+
+/**
+ * Invite a GitHub user or email address to a repository
+ * POST /api/repositories/:id/invitations
+ */
+const createInvitation = async (req, res) => {
+  try {
+    const {
+      githubUsername = null,
+      email = null,
+      role = "contributor",
+    } = req.body || {};
+    const { repository, membership } = req;
+
+    // Only owners can hand out the maintainer role
+    if (role === "maintainer" && membership.role !== "owner") {
+      return res
+        .status(403)
+        .json(new ApiResponse(403, "Only owners can invite maintainers"));
+    }
+
+    const invitation = new Invitation({
+      repository: repository._id,
+      invitedBy: req.user._id,
+      githubUsername,
+      email,
+      role,
+      expiresAt: new Date(Date.now() + INVITATION_TTL_MS),
+    });
+    await invitation.validate();
+
+    // Skip users who are already members
+    const invitee = await findInvitee(invitation);
+    if (
+      invitee &&
+      (await UserRepository.exists({
+        user: invitee._id,
+        repository: repository._id,
+        active: true,
+      }))
+    ) {
+      return res
+        .status(409)
+        .json(new ApiResponse(409, "User is already a repository member"));
+    }
+
+    // Re-inviting refreshes the open invitation instead of adding another
+    const existing = await Invitation.findOne({
+      repository: repository._id,
+      githubUsername: invitation.githubUsername,
+      email: invitation.email,
+      status: "pending",
+    });
+
+    let saved;
+    if (existing) {
+      existing.role = role;
+      existing.invitedBy = req.user._id;
+      existing.expiresAt = invitation.expiresAt;
+      saved = await existing.save();
+    } else {
+      saved = await invitation.save();
+    }
+
+    return res.status(existing ? 200 : 201).json(
+      new ApiResponse(existing ? 200 : 201, "Invitation created", {
+        invitation: saved,
+        inviteUrl: getInviteUrl(saved),
+      })
+    );
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => ({
+        field: err.path,
+        message: err.message,
+      }));
+      return res
+        .status(400)
+        .json(new ApiResponse(400, "Invalid invitation data", { errors }));
+    }
+
+    console.error("Create invitation error:", error);
+    return res
+      .status(500)
+      .json(new ApiResponse(500, "Failed to create invitation"));
+  }
+};
+
+/**
+ * List open invitations for a repository
+ * GET /api/repositories/:id/invitations
+ */
+const listInvitations = async (req, res) => {
+  try {
+    const invitations = await Invitation.find({
+      repository: req.repository._id,
+      status: "pending",
+      expiresAt: { $gt: new Date() },
+    })
+      .populate("invitedBy", "githubUsername")
+      .sort({ createdAt: -1 });
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, "Invitations retrieved", { invitations }));
+  } catch (error) {
+    console.error("List invitations error:", error);
+    return res
+      .status(500)
+      .json(new ApiResponse(500, "Failed to retrieve invitations"));
+  }
+};
+
+/**
+ * Revoke an open invitation
+ * DELETE /api/repositories/:id/invitations/:invitationId
+ */
+const revokeInvitation = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.invitationId)) {
+      return res.status(404).json(new ApiResponse(404, "Invitation not found"));
+    }
+
+    const invitation = await Invitation.findOneAndUpdate(
+      {
+        _id: req.params.invitationId,
+        repository: req.repository._id,
+        status: "pending",
+      },
+      { $set: { status: "revoked", respondedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!invitation) {
+      return res.status(404).json(new ApiResponse(404, "Invitation not found"));
+    }
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, "Invitation revoked", { invitation }));
+  } catch (error) {
+    console.error("Revoke invitation error:", error);
+    return res
+      .status(500)
+      .json(new ApiResponse(500, "Failed to revoke invitation"));
+  }
+};
+
+/**
+ * Accept an invitation from an invite link
+ * POST /api/invitations/accept
+ */
+const acceptInvitation = async (req, res) => {
+  try {
+    const { invitation, status, message } = await resolveInvitation(
+      req.body?.token,
+      req.user
+    );
+    if (!invitation) {
+      return res.status(status).json(new ApiResponse(status, message));
+    }
+
+    await invitation.accept(req.user);
+
+    return res.status(200).json(
+      new ApiResponse(200, "Invitation accepted", {
+        repositoryId: invitation.repository,
+        role: invitation.role,
+      })
+    );
+  } catch (error) {
+    console.error("Accept invitation error:", error);
+    return res
+      .status(500)
+      .json(new ApiResponse(500, "Failed to accept invitation"));
+  }
+};
+
+/**
+ * Decline an invitation from an invite link
+ * POST /api/invitations/decline
+ */
+const declineInvitation = async (req, res) => {
+  try {
+    const { invitation, status, message } = await resolveInvitation(
+      req.body?.token,
+      req.user
+    );
+    if (!invitation) {
+      return res.status(status).json(new ApiResponse(status, message));
+    }
+
+    await invitation.decline();
+
+    return res.status(200).json(new ApiResponse(200, "Invitation declined"));
+  } catch (error) {
+    console.error("Decline invitation error:", error);
+    return res
+      .status(500)
+      .json(new ApiResponse(500, "Failed to decline invitation"));
+  }
+};
+
+export {
+  createInvitation,
+  listInvitations,
+  revokeInvitation,
+  acceptInvitation,
+  declineInvitation,
+};
@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+import { ApiResponse } from "../utils/api-response.js";
+import Job from "../models/job.model.js";
+
+/**
+ * Get status, progress and results of a background job
+ * GET /api/jobs/:id
+ */
+const getJob = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user._id;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json(new ApiResponse(404, "Job not found"));
+    }
+
+    const job = await Job.findOne({ _id: id, createdBy: userId }).select(
+      "-payload -lockedAt"
+    );
+
+    if (!job) {
+      return res.status(404).json(new ApiResponse(404, "Job not found"));
+    }
+
+    return res.status(200).json(new ApiResponse(200, "Job retrieved", { job }));
+  } catch (error) {
+    console.error("Get job error:", error);
+    return res.status(500).json(new ApiResponse(500, "Failed to get job"));
+  }
+};
+
+export { getJob };
@@ -1,9 +1,15 @@
 import axios from "axios";
+import mongoose from "mongoose";
 import { ApiResponse } from "../utils/api-response.js";
 import User from "../models/user.model.js";
 import Repository from "../models/repository.model.js";
-import UserRepository from "../models/user-repository.model.js";
+import UserRepository, {
+  ROLE_PERMISSIONS,
+} from "../models/user-repository.model.js";
+import Job from "../models/job.model.js";
+import Installation from "../models/installation.model.js";
 import BadgeService from "../services/badgeService.js";
+import RepositoryWebhookService from "../services/repositoryWebhookService.js";
 
 /**
  * Import repositories from GitHub
@@ -31,6 +37,7 @@ const importRepositories = async (req, res) => {
         .status(400)
         .json(new ApiResponse(400, "GitHub access token not found"));
     }
+    const accessToken = user.getGitHubToken();
 
     // Fetch selected repositories from GitHub API
     const githubRepos = [];
@@ -42,7 +49,7 @@ const importRepositories = async (req, res) => {
           `https://api.github.com/repositories/${repoId}`,
           {
             headers: {
-              Authorization: `Bearer ${user.githubToken}`,
+              Authorization: `Bearer ${accessToken}`,
               Accept: "application/vnd.github.v3+json",
             },
           }
@@ -91,12 +98,63 @@ const importRepositories = async (req, res) => {
       );
     }
 
+    // Backfill past pull requests of newly imported repositories
+    const backfillJobs = [];
+    for (const repo of importResult.imported) {
+      const job = await Job.enqueue(
+        "backfill_pull_requests",
+        { repositoryId: repo.id, userId },
+        { createdBy: userId, repository: repo.id }
+      );
+      backfillJobs.push({ repositoryId: repo.id, jobId: job._id });
+    }
+
+    // Enrol the existing GitHub community of newly imported repositories
+    const contributorJobs = [];
+    for (const repo of importResult.imported) {
+      const job = await Job.enqueue(
+        "sync_contributors",
+        { repositoryId: repo.id, userId },
+        { createdBy: userId, repository: repo.id }
+      );
+      contributorJobs.push({ repositoryId: repo.id, jobId: job._id });
+    }
+
+    // Install webhooks on repositories the user owns
+    const webhooks = [];
+    for (const repo of [...importResult.imported, ...importResult.updated]) {
+      if (repo.role !== "owner") {
+        continue;
+      }
+
+      try {
+        const result = await RepositoryWebhookService.installWebhook(
+          repo.id,
+          accessToken
+        );
+        webhooks.push({ repositoryId: repo.id, ...result });
+      } catch (error) {
+        console.error(
+          `Error installing webhook for ${repo.fullName}:`,
+          error.response?.data || error.message
+        );
+        webhooks.push({
+          repositoryId: repo.id,
+          success: false,
+          error: error.response?.data?.message || "Failed to install webhook",
+        });
+      }
+    }
+
     // Return success response
     return res.status(201).json(
       new ApiResponse(201, "Repositories imported successfully", {
         imported: importResult.imported,
         updated: importResult.updated,
         badgesCreated: importResult.badgesCreated,
+        backfillJobs,
+        contributorJobs,
+        webhooks,
         errors: [...errors, ...importResult.errors],
         summary: {
           totalProcessed: githubRepos.length,
@@ -187,26 +245,12 @@ const getUserRepositories = async (req, res) => {
 const getRepositoryDetails = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user._id;
+    const { membership } = req;
 
-    // Check if user has access to this repository through UserRepository
-    const userRepository = await UserRepository.findOne({
-      user: userId,
-      repository: id,
-      active: true,
-    }).populate({
-      path: "repository",
-      populate: [
-        { path: "owner", select: "email githubUsername" },
-        { path: "badges" },
-      ],
-    });
-
-    if (!userRepository || !userRepository.repository) {
-      return res
-        .status(404)
-        .json(new ApiResponse(404, "Repository not found or access denied"));
-    }
+    const repository = await req.repository.populate([
+      { path: "owner", select: "email githubUsername" },
+      { path: "badges" },
+    ]);
 
     // Get badge statistics
     const badgeStats = await BadgeService.getRepositoryBadgeStats(id);
@@ -214,10 +258,10 @@ const getRepositoryDetails = async (req, res) => {
     return res.status(200).json(
       new ApiResponse(200, "Repository details retrieved", {
         repository: {
-          ...userRepository.repository.toObject(),
-          userRole: userRepository.role,
-          permissions: userRepository.permissions,
-          importedAt: userRepository.importedAt,
+          ...repository.toObject(),
+          userRole: membership.role,
+          permissions: membership.permissions,
+          importedAt: membership.importedAt,
         },
         badgeStats,
       })
@@ -231,59 +275,55 @@ const getRepositoryDetails = async (req, res) => {
 };
 
 /**
- * Sync repository data with GitHub
+ * Whether background jobs can call GitHub for a repository, through a GitHub
+ * App installation or the user's OAuth token
+ * @param {ObjectId} userId - User queueing the job
+ * @param {Object} repository - Repository document
+ * @returns {Boolean}
+ */
+const hasGitHubAccess = async (userId, repository) => {
+  const installation = await Installation.findForRepository(
+    repository.githubId
+  );
+  if (installation) {
+    return true;
+  }
+
+  const user = await User.findById(userId);
+  return !!user?.githubToken;
+};
+
+/**
+ * Queue a sync of repository data with GitHub
  * POST /api/repositories/:id/sync
  */
 const syncRepository = async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user._id;
+    const { repository } = req;
 
-    const repository = await Repository.findOne({
-      _id: id,
-      owner: userId,
-      active: true,
-    });
-
-    if (!repository) {
-      return res.status(404).json(new ApiResponse(404, "Repository not found"));
-    }
-
-    const user = await User.findById(userId);
-    if (!user || !user.githubToken) {
+    // Syncing works with either the owner's token or a GitHub App installation
+    if (!(await hasGitHubAccess(userId, repository))) {
       return res
         .status(400)
         .json(new ApiResponse(400, "GitHub access token not found"));
     }
 
-    // Fetch latest data from GitHub
-    const response = await axios.get(
-      `https://api.github.com/repositories/${repository.githubId}`,
-      {
-        headers: {
-          Authorization: `Bearer ${user.githubToken}`,
-          Accept: "application/vnd.github.v3+json",
-        },
-      }
+    const job = await Job.enqueue(
+      "sync_repository",
+      { repositoryId: id, userId },
+      { createdBy: userId, repository: id }
     );
 
-    // Update repository with latest data
-    await repository.syncData(response.data);
-
-    return res.status(200).json(
-      new ApiResponse(200, "Repository synced successfully", {
-        repository,
+    return res.status(202).json(
+      new ApiResponse(202, "Repository sync queued", {
+        jobId: job._id,
+        status: job.status,
       })
     );
   } catch (error) {
     console.error("Sync repository error:", error);
-
-    if (error.response?.status === 404) {
-      return res
-        .status(404)
-        .json(new ApiResponse(404, "Repository not found on GitHub"));
-    }
-
     return res
       .status(500)
       .json(new ApiResponse(500, "Failed to sync repository"));
@@ -291,7 +331,7 @@ const syncRepository = async (req, res) => {
 };
 
 /**
- * Award badges for repository
+ * Queue badge awarding for repository
  * POST /api/repositories/:id/award-badges
  */
 const awardBadges = async (req, res) => {
@@ -300,30 +340,17 @@ const awardBadges = async (req, res) => {
     const userId = req.user._id;
     const { forceRecheck = false } = req.body;
 
-    const repository = await Repository.findOne({
-      _id: id,
-      owner: userId,
-      active: true,
-    });
-
-    if (!repository) {
-      return res.status(404).json(new ApiResponse(404, "Repository not found"));
-    }
-
-    // Award badges using BadgeService
-    const result = await BadgeService.awardBadgesForRepo(id, { forceRecheck });
-
-    if (!result.success) {
-      return res.status(500).json(
-        new ApiResponse(500, "Failed to award badges", {
-          error: result.error,
-        })
-      );
-    }
+    // Award badges in the background, the job reports the results
+    const job = await Job.enqueue(
+      "award_badges",
+      { repositoryId: id, forceRecheck },
+      { createdBy: userId, repository: id }
+    );
 
-    return res.status(200).json(
-      new ApiResponse(200, "Badges awarded successfully", {
-        result,
+    return res.status(202).json(
+      new ApiResponse(202, "Badge awarding queued", {
+        jobId: job._id,
+        status: job.status,
       })
     );
   } catch (error) {
@@ -340,15 +367,7 @@ const getBadgeProgress = async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user._id;
-
-    const repository = await Repository.findOne({
-      _id: id,
-      active: true,
-    });
-
-    if (!repository) {
-      return res.status(404).json(new ApiResponse(404, "Repository not found"));
-    }
+    const { repository } = req;
 
     // Get user's badge progress
     const progress = await BadgeService.getUserBadgeProgress(userId, id);
@@ -371,6 +390,247 @@ const getBadgeProgress = async (req, res) => {
   }
 };
 
+/**
+ * Queue a backfill of repository issues from GitHub
+ * POST /api/repositories/:id/issues/backfill
+ */
+const backfillIssues = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user._id;
+
+    // Backfills work with either the user's token or a GitHub App installation
+    if (!(await hasGitHubAccess(userId, req.repository))) {
+      return res
+        .status(400)
+        .json(new ApiResponse(400, "GitHub access token not found"));
+    }
+
+    const job = await Job.enqueue(
+      "backfill_issues",
+      { repositoryId: id, userId },
+      { createdBy: userId, repository: id }
+    );
+
+    return res.status(202).json(
+      new ApiResponse(202, "Issue backfill queued", {
+        jobId: job._id,
+        status: job.status,
+      })
+    );
+  } catch (error) {
+    console.error("Backfill issues error:", error);
+    return res
+      .status(500)
+      .json(new ApiResponse(500, "Failed to backfill issues"));
+  }
+};
+
+/**
+ * Queue a backfill of repository pull requests from GitHub
+ * POST /api/repositories/:id/pull-requests/backfill
+ */
+const backfillPullRequests = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user._id;
+    const { restart = false } = req.body || {};
+    const { repository } = req;
+
+    // Backfills work with either the user's token or a GitHub App installation
+    if (!(await hasGitHubAccess(userId, repository))) {
+      return res
+        .status(400)
+        .json(new ApiResponse(400, "GitHub access token not found"));
+    }
+
+    const job = await Job.enqueue(
+      "backfill_pull_requests",
+      { repositoryId: id, userId, restart: !!restart },
+      { createdBy: userId, repository: id }
+    );
+
+    return res.status(202).json(
+      new ApiResponse(202, "Pull request backfill queued", {
+        jobId: job._id,
+        status: job.status,
+        cursor: repository.prBackfill,
+      })
+    );
+  } catch (error) {
+    console.error("Backfill pull requests error:", error);
+    return res
+      .status(500)
+      .json(new ApiResponse(500, "Failed to backfill pull requests"));
+  }
+};
+
+/**
+ * Deactivate a repository and remove its GitHub webhook
+ * DELETE /api/repositories/:id
+ */
+const deactivateRepository = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user._id;
+    const { repository } = req;
+
+    const user = await User.findById(userId);
+
+    let webhookRemoved = false;
+    let webhookError = null;
+    if (repository.webhook?.id) {
+      if (!user || !user.githubToken) {
+        webhookError = "GitHub access token not found";
+      } else {
+        try {
+          const result = await RepositoryWebhookService.removeWebhook(
+            id,
+            user.getGitHubToken()
+          );
+          webhookRemoved = result.removed;
+        } catch (error) {
+          console.error(
+            `Error removing webhook for ${repository.fullName}:`,
+            error.response?.data || error.message
+          );
+          webhookError =
+            error.response?.data?.message || "Failed to remove webhook";
+        }
+      }
+    }
+
+    await Repository.updateOne({ _id: id }, { $set: { active: false } });
+
+    return res.status(200).json(
+      new ApiResponse(200, "Repository deactivated", {
+        id,
+        webhookRemoved,
+        webhookError,
+      })
+    );
+  } catch (error) {
+    console.error("Deactivate repository error:", error);
+    return res
+      .status(500)
+      .json(new ApiResponse(500, "Failed to deactivate repository"));
+  }
+};
+
+/**
+ * List repository members with their roles and permissions
+ * GET /api/repositories/:id/members
+ */
+const getRepositoryMembers = async (req, res) => {
+  try {
+    const members = await UserRepository.getRepositoryUsers(req.params.id);
+
+    return res.status(200).json(
+      new ApiResponse(200, "Repository members retrieved", {
+        members: members.map((member) => ({
+          userId: member.user?._id,
+          githubUsername: member.user?.githubUsername,
+          role: member.role,
+          permissions: member.permissions,
+          importedAt: member.importedAt,
+        })),
+      })
+    );
+  } catch (error) {
+    console.error("Get repository members error:", error);
+    return res
+      .status(500)
+      .json(new ApiResponse(500, "Failed to retrieve repository members"));
+  }
+};
+
+/**
+ * Change a member's role and/or permissions (owners only)
+ * PATCH /api/repositories/:id/members/:userId
+ */
+const updateRepositoryMember = async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+    const { role, permissions } = req.body || {};
+
+    if (role === undefined && permissions === undefined) {
+      return res
+        .status(400)
+        .json(new ApiResponse(400, "Role or permissions are required"));
+    }
+
+    // Ownership comes from GitHub, it can't be granted or taken away here
+    if (role !== undefined && !["maintainer", "contributor"].includes(role)) {
+      return res
+        .status(400)
+        .json(
+          new ApiResponse(
+            400,
+            "Role must be either 'maintainer' or 'contributor'"
+          )
+        );
+    }
+
+    const permissionKeys = Object.keys(ROLE_PERMISSIONS.owner);
+    if (
+      permissions !== undefined &&
+      (typeof permissions !== "object" ||
+        permissions === null ||
+        Object.entries(permissions).some(
+          ([key, value]) =>
+            !permissionKeys.includes(key) || typeof value !== "boolean"
+        ))
+    ) {
+      return res.status(400).json(
+        new ApiResponse(400, "Invalid permissions", {
+          allowedPermissions: permissionKeys,
+        })
+      );
+    }
+
+    const member = mongoose.isValidObjectId(userId)
+      ? await UserRepository.findOne({
+          user: userId,
+          repository: id,
+          active: true,
+        })
+      : null;
+
+    if (!member) {
+      return res.status(404).json(new ApiResponse(404, "Member not found"));
+    }
+
+    if (member.role === "owner") {
+      return res
+        .status(403)
+        .json(new ApiResponse(403, "Owner memberships cannot be changed"));
+    }
+
+    // Changing the role resets permissions to the role defaults first
+    if (role !== undefined && role !== member.role) {
+      member.role = role;
+      await member.save();
+    }
+
+    if (permissions !== undefined) {
+      await member.updatePermissions(permissions);
+    }
+
+    return res.status(200).json(
+      new ApiResponse(200, "Member updated", {
+        userId: member.user,
+        role: member.role,
+        permissions: member.permissions,
+      })
+    );
+  } catch (error) {
+    console.error("Update repository member error:", error);
+    return res
+      .status(500)
+      .json(new ApiResponse(500, "Failed to update repository member"));
+  }
+};
+
 export {
   importRepositories,
   getUserRepositories,
@@ -378,4 +638,9 @@ export {
   syncRepository,
   awardBadges,
   getBadgeProgress,
+  backfillIssues,
+  backfillPullRequests,
+  deactivateRepository,
+  getRepositoryMembers,
+  updateRepositoryMember,
 };
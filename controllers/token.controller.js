@@ -0,0 +1,143 @@
+import mongoose from "mongoose";
+import { ApiResponse } from "../utils/api-response.js";
+import ApiToken, { API_TOKEN_SCOPES } from "../models/api-token.model.js";
+
+const DEFAULT_TOKEN_EXPIRY_DAYS = 90;
+const MAX_TOKEN_EXPIRY_DAYS = 365;
+
+/**
+ * Format a token for API responses, never including its hash
+ * @param {Object} apiToken - ApiToken document
+ * @returns {Object} - Token details
+ */
+const formatToken = (apiToken) => ({
+  id: apiToken._id,
+  name: apiToken.name,
+  tokenPrefix: apiToken.tokenPrefix,
+  scopes: apiToken.scopes,
+  expiresAt: apiToken.expiresAt,
+  lastUsedAt: apiToken.lastUsedAt,
+  createdAt: apiToken.createdAt,
+});
+
+/**
+ * List the user's active personal access tokens
+ * GET /auth/tokens
+ */
+const listTokens = async (req, res) => {
+  try {
+    const tokens = await ApiToken.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ createdAt: -1 });
+
+    return res.status(200).json(
+      new ApiResponse(200, "API tokens retrieved", {
+        tokens: tokens.map(formatToken),
+        availableScopes: API_TOKEN_SCOPES,
+      })
+    );
+  } catch (error) {
+    console.error("List API tokens error:", error);
+    return res
+      .status(500)
+      .json(new ApiResponse(500, "Failed to list API tokens"));
+  }
+};
+
+/**
+ * Create a personal access token, the token is only returned once
+ * POST /auth/tokens
+ */
+const createToken = async (req, res) => {
+  try {
+    const {
+      name,
+      scopes,
+      expiresInDays = DEFAULT_TOKEN_EXPIRY_DAYS,
+    } = req.body || {};
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res
+        .status(400)
+        .json(new ApiResponse(400, "At least one scope is required"));
+    }
+
+    if (
+      !Number.isInteger(expiresInDays) ||
+      expiresInDays < 1 ||
+      expiresInDays > MAX_TOKEN_EXPIRY_DAYS
+    ) {
+      return res
+        .status(400)
+        .json(
+          new ApiResponse(
+            400,
+            `expiresInDays must be between 1 and ${MAX_TOKEN_EXPIRY_DAYS}`
+          )
+        );
+    }
+
+    const { apiToken, token } = await ApiToken.mint(req.user._id, {
+      name,
+      scopes,
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+    });
+
+    return res.status(201).json(
+      new ApiResponse(201, "API token created", {
+        ...formatToken(apiToken),
+        token,
+      })
+    );
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => ({
+        field: err.path,
+        message: err.message,
+      }));
+      return res
+        .status(400)
+        .json(new ApiResponse(400, "Invalid API token data", { errors }));
+    }
+
+    console.error("Create API token error:", error);
+    return res
+      .status(500)
+      .json(new ApiResponse(500, "Failed to create API token"));
+  }
+};
+
+/**
+ * Revoke a personal access token
+ * DELETE /auth/tokens/:id
+ */
+const revokeToken = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json(new ApiResponse(404, "API token not found"));
+    }
+
+    const apiToken = await ApiToken.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!apiToken) {
+      return res.status(404).json(new ApiResponse(404, "API token not found"));
+    }
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, "API token revoked", { id: apiToken._id }));
+  } catch (error) {
+    console.error("Revoke API token error:", error);
+    return res
+      .status(500)
+      .json(new ApiResponse(500, "Failed to revoke API token"));
+  }
+};
+
+export { listTokens, createToken, revokeToken };
@@ -1,5 +1,7 @@
 import { verifyToken } from "../utils/jwt.js";
 import User from "../models/user.model.js";
+import Session from "../models/session.model.js";
+import ApiToken, { API_TOKEN_PREFIX } from "../models/api-token.model.js";
 import { ApiResponse } from "../utils/api-response.js";
 
 /**
@@ -9,11 +11,15 @@ import { ApiResponse } from "../utils/api-response.js";
  */
 export const authenticateToken = async (req, res, next) => {
   try {
-    console.log("🔒 Auth middleware - Cookies received:", req.cookies);
+    // Cookie values are credentials, only log which ones were sent
+    console.log(
+      "🔒 Auth middleware - Cookies received:",
+      Object.keys(req.cookies || {})
+    );
+    // Bearer values may be personal access tokens, log only the scheme
     console.log("🔒 Auth middleware - Headers:", {
       origin: req.headers.origin,
-      authorization: req.headers.authorization,
-      cookie: req.headers.cookie,
+      authorization: req.headers.authorization?.split(" ")[0] || null,
     });
 
     // Get token from cookie (preferred) or Authorization header
@@ -34,6 +40,35 @@ export const authenticateToken = async (req, res, next) => {
         .json(new ApiResponse(401, "Access token required"));
     }
 
+    // Personal access tokens for CI and bots, limited to their scopes
+    if (token.startsWith(API_TOKEN_PREFIX)) {
+      const apiToken = await ApiToken.findActiveByToken(token);
+      if (!apiToken) {
+        return res
+          .status(401)
+          .json(new ApiResponse(401, "Invalid or expired API token"));
+      }
+
+      const user = await User.findById(apiToken.user).select(
+        "-passwordHash -githubToken"
+      );
+      if (!user) {
+        return res.status(401).json(new ApiResponse(401, "User not found"));
+      }
+
+      // Record usage at most once a minute
+      if (!apiToken.lastUsedAt || Date.now() - apiToken.lastUsedAt > 60000) {
+        await ApiToken.updateOne(
+          { _id: apiToken._id },
+          { $set: { lastUsedAt: new Date() } }
+        );
+      }
+
+      req.user = user;
+      req.apiToken = apiToken;
+      return next();
+    }
+
     // Verify the token
     const decoded = verifyToken(token);
     if (!decoded) {
@@ -42,6 +77,13 @@ export const authenticateToken = async (req, res, next) => {
         .json(new ApiResponse(401, "Invalid or expired token"));
     }
 
+    // Reject tokens whose session was revoked (logout, revoked device, reuse)
+    if (!(await Session.isSessionActive(decoded.sessionId))) {
+      return res
+        .status(401)
+        .json(new ApiResponse(401, "Session expired or revoked"));
+    }
+
     // Fetch current user data from database (in case data changed)
     const user = await User.findById(decoded.userId).select(
       "-passwordHash -githubToken"
@@ -78,7 +120,7 @@ export const optionalAuth = async (req, res, next) => {
 
     if (token) {
       const decoded = verifyToken(token);
-      if (decoded) {
+      if (decoded && (await Session.isSessionActive(decoded.sessionId))) {
         const user = await User.findById(decoded.userId).select(
           "-passwordHash -githubToken"
         );
@@ -95,3 +137,30 @@ export const optionalAuth = async (req, res, next) => {
     next(); // Continue even if error
   }
 };
+
+/**
+ * Middleware to restrict API tokens to routes their scopes allow
+ * Session-authenticated requests have full access
+ * @param {string} scope - Required scope, e.g. "badges:read"
+ */
+export const requireScope = (scope) => (req, res, next) => {
+  if (req.apiToken && !req.apiToken.hasScope(scope)) {
+    return res
+      .status(403)
+      .json(new ApiResponse(403, `API token is missing the ${scope} scope`));
+  }
+  next();
+};
+
+/**
+ * Middleware for routes that need a signed-in session rather than an API
+ * token, e.g. managing sessions and tokens
+ */
+export const requireSession = (req, res, next) => {
+  if (req.apiToken) {
+    return res
+      .status(403)
+      .json(new ApiResponse(403, "This endpoint requires a signed-in session"));
+  }
+  next();
+};
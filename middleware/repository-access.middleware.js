@@ -0,0 +1,71 @@
+import mongoose from "mongoose";
+import Repository from "../models/repository.model.js";
+import UserRepository from "../models/user-repository.model.js";
+import { ApiResponse } from "../utils/api-response.js";
+
+/**
+ * Middleware factory to authorize access to the repository in `:id`
+ * Loads the user's active membership and attaches req.repository and
+ * req.membership. Must run after authenticateToken
+ * @param {Object} options - Access requirements
+ * @param {string} options.permission - UserRepository permission required, e.g. "canManageBadges"
+ * @param {string[]} options.roles - Roles allowed, e.g. ["owner"]
+ */
+export const requireRepositoryAccess =
+  ({ permission = null, roles = null } = {}) =>
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      if (!mongoose.isValidObjectId(id)) {
+        return res
+          .status(404)
+          .json(new ApiResponse(404, "Repository not found or access denied"));
+      }
+
+      const [repository, membership] = await Promise.all([
+        Repository.findOne({ _id: id, active: true }),
+        UserRepository.findOne({
+          user: req.user._id,
+          repository: id,
+          active: true,
+        }),
+      ]);
+
+      // Non-members get a 404 so repository existence isn't revealed
+      if (!repository || !membership) {
+        return res
+          .status(404)
+          .json(new ApiResponse(404, "Repository not found or access denied"));
+      }
+
+      if (roles && !roles.includes(membership.role)) {
+        return res
+          .status(403)
+          .json(
+            new ApiResponse(
+              403,
+              `This action requires the ${roles.join(" or ")} role`
+            )
+          );
+      }
+
+      if (permission && !membership.hasPermission(permission)) {
+        return res
+          .status(403)
+          .json(
+            new ApiResponse(
+              403,
+              `You don't have the ${permission} permission for this repository`
+            )
+          );
+      }
+
+      req.repository = repository;
+      req.membership = membership;
+      next();
+    } catch (error) {
+      console.error("Repository access middleware error:", error);
+      return res.status(500).json(new ApiResponse(500, "Authorization error"));
+    }
+  };
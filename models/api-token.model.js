@@ -0,0 +1,125 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+
+export const API_TOKEN_PREFIX = "praise_pat_";
+
+// Scopes a personal access token can be granted
+export const API_TOKEN_SCOPES = [
+  "badges:read",
+  "badges:write",
+  "repositories:read",
+  "repositories:write",
+  "events:read",
+  "events:write",
+  "jobs:read",
+];
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const apiTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Token name is required"],
+      trim: true,
+      maxLength: [100, "Token name cannot exceed 100 characters"],
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    // First characters of the token, so users can tell tokens apart
+    tokenPrefix: {
+      type: String,
+      required: true,
+    },
+    scopes: {
+      type: [
+        {
+          type: String,
+          enum: {
+            values: API_TOKEN_SCOPES,
+            message: "Unknown scope: {VALUE}",
+          },
+        },
+      ],
+      validate: {
+        validator: function (scopes) {
+          return scopes.length > 0;
+        },
+        message: "At least one scope is required",
+      },
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, "Token expiry is required"],
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        delete ret.tokenHash;
+        return ret;
+      },
+    },
+  }
+);
+
+apiTokenSchema.index({ user: 1, revokedAt: 1 });
+
+// Static method to mint a token, returns the document and the plain token
+// which is only available at creation time
+apiTokenSchema.statics.mint = async function (
+  userId,
+  { name, scopes, expiresAt }
+) {
+  const token = `${API_TOKEN_PREFIX}${crypto.randomBytes(30).toString("base64url")}`;
+
+  const apiToken = await this.create({
+    user: userId,
+    name,
+    scopes: [...new Set(scopes)],
+    expiresAt,
+    tokenHash: hashToken(token),
+    tokenPrefix: token.substring(0, API_TOKEN_PREFIX.length + 6),
+  });
+
+  return { apiToken, token };
+};
+
+// Static method to find the active token matching a presented token
+apiTokenSchema.statics.findActiveByToken = function (token) {
+  return this.findOne({
+    tokenHash: hashToken(token),
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+// Instance method to check whether the token grants a scope
+apiTokenSchema.methods.hasScope = function (scope) {
+  return this.scopes.includes(scope);
+};
+
+const ApiToken = mongoose.model("ApiToken", apiTokenSchema);
+
+export default ApiToken;
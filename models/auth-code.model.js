@@ -0,0 +1,92 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+
+// Exchange codes only need to survive the redirect back to the client
+const AUTH_CODE_TTL_MS = 60 * 1000;
+
+const hashCode = (code) =>
+  crypto.createHash("sha256").update(code).digest("hex");
+
+const authCodeSchema = new mongoose.Schema(
+  {
+    codeHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+    // PKCE S256 challenge from the client that started the login
+    codeChallenge: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Remove codes as soon as they expire
+authCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to issue a one-time code for a user, returns the plain code
+authCodeSchema.statics.issue = async function (user, options = {}) {
+  const { codeChallenge = null } = options;
+  const code = crypto.randomBytes(32).toString("base64url");
+
+  await this.create({
+    codeHash: hashCode(code),
+    user: user._id,
+    expiresAt: new Date(Date.now() + AUTH_CODE_TTL_MS),
+    codeChallenge,
+  });
+
+  return code;
+};
+
+// Static method to atomically redeem a code, returns null if it is unknown,
+// expired or already used
+authCodeSchema.statics.redeem = function (code) {
+  return this.findOneAndUpdate(
+    {
+      codeHash: hashCode(code),
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+// Instance method to check a PKCE code verifier against the stored challenge
+authCodeSchema.methods.verifyCodeVerifier = function (codeVerifier) {
+  if (typeof codeVerifier !== "string") {
+    return false;
+  }
+
+  const challenge = Buffer.from(
+    crypto.createHash("sha256").update(codeVerifier).digest("base64url")
+  );
+  const expected = Buffer.from(this.codeChallenge);
+
+  return (
+    challenge.length === expected.length &&
+    crypto.timingSafeEqual(challenge, expected)
+  );
+};
+
+const AuthCode = mongoose.model("AuthCode", authCodeSchema);
+
+export default AuthCode;
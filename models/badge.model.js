@@ -1,5 +1,86 @@
 import mongoose from "mongoose";
 
+// A single condition within a composite rule expression
+const criteriaConditionSchema = new mongoose.Schema(
+  {
+    criteriaType: {
+      type: String,
+      enum: {
+        values: ["prs", "commits", "issues", "reviews", "releases"],
+        message:
+          "Rule criteria type must be one of: prs, commits, issues, reviews, releases",
+      },
+      required: [true, "Rule criteria type is required"],
+    },
+    criteriaValue: {
+      type: Number,
+      required: [true, "Rule criteria value is required"],
+      min: [1, "Rule criteria value must be at least 1"],
+      max: [10000, "Rule criteria value cannot exceed 10000"],
+    },
+  },
+  { _id: false }
+);
+
+const badgeRulesSchema = new mongoose.Schema(
+  {
+    operator: {
+      type: String,
+      enum: {
+        values: ["and", "or"],
+        message: "Rule operator must be either 'and' or 'or'",
+      },
+      default: "and",
+    },
+    conditions: {
+      type: [criteriaConditionSchema],
+      validate: {
+        validator: function (conditions) {
+          return conditions.length >= 2 && conditions.length <= 5;
+        },
+        message: "Rules must have between 2 and 5 conditions",
+      },
+    },
+  },
+  { _id: false }
+);
+
+// Time window for criteria evaluated from pull request timestamps
+const badgeWindowSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: {
+        values: ["rolling", "streak"],
+        message: "Window type must be either 'rolling' or 'streak'",
+      },
+      required: [true, "Window type is required"],
+    },
+    // Length of a rolling window, e.g. 5 merged PRs within 30 days
+    days: {
+      type: Number,
+      min: [1, "Window must be at least 1 day"],
+      max: [365, "Window cannot exceed 365 days"],
+      required: [
+        function () {
+          return this.type === "rolling";
+        },
+        "Rolling windows require a number of days",
+      ],
+    },
+    // Period of a streak, e.g. contributed every week for 8 weeks
+    period: {
+      type: String,
+      enum: {
+        values: ["day", "week", "month"],
+        message: "Streak period must be one of: day, week, month",
+      },
+      default: "week",
+    },
+  },
+  { _id: false }
+);
+
 const badgeSchema = new mongoose.Schema(
   {
     name: {
@@ -17,9 +98,17 @@ const badgeSchema = new mongoose.Schema(
     criteriaType: {
       type: String,
       enum: {
-        values: ["prs", "commits", "issues", "reviews", "stars", "forks"],
+        values: [
+          "prs",
+          "commits",
+          "issues",
+          "reviews",
+          "releases",
+          "stars",
+          "forks",
+        ],
         message:
-          "Criteria type must be one of: prs, commits, issues, reviews, stars, forks",
+          "Criteria type must be one of: prs, commits, issues, reviews, releases, stars, forks",
       },
       default: "prs",
       required: true,
@@ -30,6 +119,23 @@ const badgeSchema = new mongoose.Schema(
       min: [1, "Criteria value must be at least 1"],
       max: [10000, "Criteria value cannot exceed 10000"],
     },
+    // Optional AND/OR rule expression; criteriaType and criteriaValue mirror
+    // its first condition
+    rules: {
+      type: badgeRulesSchema,
+      default: null,
+    },
+    // Optional time window; criteriaValue is then the count needed within
+    // the window (rolling) or the number of consecutive periods (streak)
+    window: {
+      type: badgeWindowSchema,
+      default: null,
+    },
+    // Canonical form of the full rule set, derived on validate so badges
+    // with the same rules can't be created twice in a repository
+    signature: {
+      type: String,
+    },
     repository: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Repository",
@@ -96,11 +202,13 @@ badgeSchema.index({ repository: 1, active: 1 });
 badgeSchema.index({ repository: 1, criteriaType: 1, active: 1 });
 badgeSchema.index({ criteriaType: 1, criteriaValue: 1 });
 
-// Unique constraint to prevent duplicate badges for same criteria in same repo
-badgeSchema.index(
-  { repository: 1, criteriaType: 1, criteriaValue: 1 },
-  { unique: true }
-);
+// Unique constraint to prevent duplicate badges for same rules in same repo
+badgeSchema.index({ repository: 1, signature: 1 }, { unique: true });
+
+// Virtual for composite (rule expression) badges
+badgeSchema.virtual("isComposite").get(function () {
+  return !!this.rules?.conditions?.length;
+});
 
 // Virtual for awarded count
 badgeSchema.virtual("awardedCount", {
@@ -121,6 +229,29 @@ badgeSchema.virtual("recentAwardedCount", {
   count: true,
 });
 
+// Static method to build the signature identifying a badge's rule set,
+// including its time window so "5 PRs in 30 days" and "5 PRs" can coexist.
+// Composite conditions are sorted so their order doesn't matter
+badgeSchema.statics.buildSignature = function (badge) {
+  if (badge.rules?.conditions?.length) {
+    const conditions = badge.rules.conditions
+      .map(
+        (condition) => `${condition.criteriaType}:${condition.criteriaValue}`
+      )
+      .sort();
+    return `${badge.rules.operator || "and"}(${conditions.join(",")})`;
+  }
+
+  const criteria = `${badge.criteriaType}:${badge.criteriaValue}`;
+  if (badge.window?.type === "rolling") {
+    return `${criteria}@rolling:${badge.window.days}d`;
+  }
+  if (badge.window?.type === "streak") {
+    return `${criteria}@streak:${badge.window.period || "week"}`;
+  }
+  return criteria;
+};
+
 // Static method to create default badges for repository
 badgeSchema.statics.createDefaultBadges = async function (
   repositoryId,
@@ -167,6 +298,27 @@ badgeSchema.statics.createDefaultBadges = async function (
       difficulty: "medium",
       isDefault: true,
     },
+    {
+      name: "Bug Hunter",
+      description: "Awarded for opening or resolving 5 or more issues",
+      criteriaType: "issues",
+      criteriaValue: 5,
+      icon: "🐛",
+      color: "#DC143C",
+      difficulty: "medium",
+      isDefault: true,
+    },
+    {
+      name: "Code Reviewer",
+      description:
+        "Awarded for 10 or more approving or change-requesting reviews",
+      criteriaType: "reviews",
+      criteriaValue: 10,
+      icon: "🔍",
+      color: "#1E90FF",
+      difficulty: "medium",
+      isDefault: true,
+    },
   ];
 
   const badges = defaultBadges.map((badge) => ({
@@ -242,6 +394,27 @@ badgeSchema.methods.checkUserEligibility = async function (userId) {
   }
 };
 
+// Keep the primary criteria in sync with the first rule condition
+badgeSchema.pre("validate", function (next) {
+  if (this.rules?.conditions?.length) {
+    const [primary] = this.rules.conditions;
+    this.criteriaType = primary.criteriaType;
+    this.criteriaValue = primary.criteriaValue;
+  }
+  if (this.window) {
+    if (this.rules?.conditions?.length) {
+      this.invalidate("window", "Composite badges cannot have a time window");
+    } else if (!["prs", "commits"].includes(this.criteriaType)) {
+      this.invalidate(
+        "window",
+        "Time windows are only supported for prs and commits criteria"
+      );
+    }
+  }
+  this.signature = this.constructor.buildSignature(this);
+  next();
+});
+
 // Pre-save middleware
 badgeSchema.pre("save", function (next) {
   if (this.isNew && !this.createdBy) {
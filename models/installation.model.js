@@ -0,0 +1,112 @@
+import mongoose from "mongoose";
+
+const installationSchema = new mongoose.Schema(
+  {
+    installationId: {
+      type: Number,
+      required: [true, "Installation ID is required"],
+      unique: true,
+    },
+    account: {
+      login: { type: String, required: true },
+      id: { type: Number, required: true },
+      type: { type: String, enum: ["User", "Organization"], default: "User" },
+    },
+    repositorySelection: {
+      type: String,
+      enum: ["all", "selected"],
+      default: "selected",
+    },
+    repositories: [
+      {
+        _id: false,
+        githubId: { type: Number, required: true },
+        fullName: { type: String, required: true, lowercase: true },
+      },
+    ],
+    permissions: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    suspendedAt: {
+      type: Date,
+      default: null,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// Index for finding the installation that covers a repository
+installationSchema.index({ "repositories.githubId": 1, active: 1 });
+
+// Static method to find the usable installation for a GitHub repository
+installationSchema.statics.findForRepository = function (githubRepoId) {
+  return this.findOne({
+    "repositories.githubId": githubRepoId,
+    active: true,
+    suspendedAt: null,
+  });
+};
+
+// Static method to create or update from an installation webhook payload
+installationSchema.statics.upsertFromWebhook = function (
+  installationData,
+  repositories = []
+) {
+  return this.findOneAndUpdate(
+    { installationId: installationData.id },
+    {
+      $set: {
+        account: {
+          login: installationData.account.login,
+          id: installationData.account.id,
+          type: installationData.account.type,
+        },
+        repositorySelection: installationData.repository_selection,
+        repositories: repositories.map((repo) => ({
+          githubId: repo.id,
+          fullName: repo.full_name,
+        })),
+        permissions: installationData.permissions || {},
+        suspendedAt: installationData.suspended_at || null,
+        active: true,
+      },
+    },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Instance method to add and remove repositories covered by the installation
+installationSchema.methods.updateRepositories = function (
+  added = [],
+  removed = []
+) {
+  const removedIds = new Set(removed.map((repo) => repo.id));
+  const addedIds = new Set(added.map((repo) => repo.id));
+
+  this.repositories = this.repositories.filter(
+    (repo) => !removedIds.has(repo.githubId) && !addedIds.has(repo.githubId)
+  );
+  added.forEach((repo) => {
+    this.repositories.push({ githubId: repo.id, fullName: repo.full_name });
+  });
+
+  return this.save();
+};
+
+const Installation = mongoose.model("Installation", installationSchema);
+
+export default Installation;
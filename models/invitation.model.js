@@ -0,0 +1,186 @@
+import mongoose from "mongoose";
+import UserRepository from "./user-repository.model.js";
+
+export const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const invitationSchema = new mongoose.Schema(
+  {
+    repository: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Repository",
+      required: [true, "Repository is required"],
+      index: true,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Inviting user is required"],
+    },
+    // Invitees are identified by GitHub username or email, whichever is given
+    githubUsername: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: null,
+      index: true,
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: null,
+      index: true,
+      validate: {
+        validator: function (v) {
+          return v === null || /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v);
+        },
+        message: "Email must be a valid email address",
+      },
+    },
+    role: {
+      type: String,
+      enum: {
+        values: ["maintainer", "contributor"],
+        message: "Role must be either 'maintainer' or 'contributor'",
+      },
+      default: "contributor",
+    },
+    status: {
+      type: String,
+      enum: ["pending", "accepted", "declined", "revoked"],
+      default: "pending",
+      index: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    respondedAt: {
+      type: Date,
+      default: null,
+    },
+    acceptedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+    toObject: {
+      virtuals: true,
+    },
+  }
+);
+
+invitationSchema.index({ repository: 1, status: 1, expiresAt: 1 });
+
+// Virtual for whether the invitation can still be answered
+invitationSchema.virtual("isOpen").get(function () {
+  return this.status === "pending" && this.expiresAt > new Date();
+});
+
+// Pre-validate middleware to require exactly one invitee identifier
+invitationSchema.pre("validate", function (next) {
+  if (!this.githubUsername === !this.email) {
+    this.invalidate(
+      "githubUsername",
+      "Provide either a GitHub username or an email"
+    );
+  }
+  next();
+});
+
+/**
+ * Build the query matching a user's identities
+ * @param {Object} user - User document
+ * @returns {Array} - $or conditions
+ */
+const inviteeConditions = (user) => {
+  const conditions = [];
+  if (user.githubUsername) {
+    conditions.push({ githubUsername: user.githubUsername.toLowerCase() });
+  }
+  // Anyone can add an unverified address to their GitHub account
+  if (user.email && user.emailVerified) {
+    conditions.push({ email: user.email.toLowerCase() });
+  }
+  return conditions;
+};
+
+// Static method to find open invitations addressed to a user
+invitationSchema.statics.findOpenForUser = function (user) {
+  const conditions = inviteeConditions(user);
+  if (conditions.length === 0) {
+    return this.find({ _id: null });
+  }
+
+  return this.find({
+    $or: conditions,
+    status: "pending",
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+// Static method to accept every open invitation addressed to a user
+invitationSchema.statics.acceptAllForUser = async function (user) {
+  const invitations = await this.findOpenForUser(user);
+
+  const accepted = [];
+  for (const invitation of invitations) {
+    accepted.push(await invitation.accept(user));
+  }
+  return accepted;
+};
+
+// Instance method to check whether the invitation is addressed to a user
+invitationSchema.methods.isFor = function (user) {
+  return (
+    (!!this.githubUsername &&
+      this.githubUsername === user.githubUsername?.toLowerCase()) ||
+    (!!this.email &&
+      !!user.emailVerified &&
+      this.email === user.email?.toLowerCase())
+  );
+};
+
+// Instance method to accept the invitation, creating the membership.
+// Existing members keep their current role
+invitationSchema.methods.accept = async function (user) {
+  const existing = await UserRepository.findOne({
+    user: user._id,
+    repository: this.repository,
+    active: true,
+  });
+
+  if (!existing) {
+    await UserRepository.addUserToRepository(
+      user._id,
+      this.repository,
+      this.role
+    );
+  }
+
+  this.status = "accepted";
+  this.acceptedBy = user._id;
+  this.respondedAt = new Date();
+  return this.save();
+};
+
+// Instance method to decline the invitation
+invitationSchema.methods.decline = function () {
+  this.status = "declined";
+  this.respondedAt = new Date();
+  return this.save();
+};
+
+const Invitation = mongoose.model("Invitation", invitationSchema);
+
+export default Invitation;
@@ -0,0 +1,212 @@
+import mongoose from "mongoose";
+
+const issueSchema = new mongoose.Schema(
+  {
+    repository: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Repository",
+      required: [true, "Repository reference is required"],
+      index: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User reference is required"],
+      index: true,
+    },
+    githubIssueId: {
+      type: Number,
+      required: [true, "GitHub issue ID is required"],
+      index: true,
+    },
+    number: {
+      type: Number,
+      required: [true, "Issue number is required"],
+    },
+    title: {
+      type: String,
+      required: [true, "Issue title is required"],
+      trim: true,
+      maxLength: [300, "Title cannot exceed 300 characters"],
+    },
+    state: {
+      type: String,
+      enum: ["open", "closed"],
+      default: "open",
+      index: true,
+    },
+    stateReason: {
+      type: String,
+      enum: ["completed", "not_planned", "reopened", "duplicate", null],
+      default: null,
+    },
+    closedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+      index: true,
+    },
+    closedAt: {
+      type: Date,
+    },
+    githubCreatedAt: {
+      type: Date,
+      required: true,
+      index: true,
+    },
+    githubUpdatedAt: {
+      type: Date,
+      required: true,
+    },
+    labels: [
+      {
+        name: String,
+        color: String,
+      },
+    ],
+    url: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+    toObject: {
+      virtuals: true,
+    },
+  }
+);
+
+// Compound indexes for performance and uniqueness
+issueSchema.index({ repository: 1, githubIssueId: 1 }, { unique: true });
+issueSchema.index({ repository: 1, user: 1 });
+issueSchema.index({ repository: 1, closedBy: 1, stateReason: 1 });
+
+// Static method to create or update an issue from webhook or API data
+issueSchema.statics.createOrUpdateFromWebhook = async function (
+  issueData,
+  repository,
+  user,
+  closedBy = null
+) {
+  const {
+    id: githubIssueId,
+    number,
+    title,
+    state,
+    state_reason: stateReason,
+    closed_at: closedAt,
+    created_at: githubCreatedAt,
+    updated_at: githubUpdatedAt,
+    html_url: url,
+    labels = [],
+  } = issueData;
+
+  const issue = {
+    repository: repository._id,
+    user: user._id,
+    githubIssueId,
+    number,
+    title,
+    state,
+    stateReason: stateReason || null,
+    closedAt: closedAt ? new Date(closedAt) : null,
+    githubCreatedAt: new Date(githubCreatedAt),
+    githubUpdatedAt: new Date(githubUpdatedAt),
+    labels: labels.map((label) => ({
+      name: label.name,
+      color: label.color,
+    })),
+    url,
+  };
+
+  // The issues list API doesn't report who closed an issue, so only
+  // overwrite the closer when we know it
+  if (closedBy) {
+    issue.closedBy = closedBy._id;
+  } else if (state === "open") {
+    issue.closedBy = null;
+  }
+
+  try {
+    // Deliveries can be processed out of order, e.g. a retried "opened"
+    // after "closed", so only update if the stored data isn't newer
+    return await this.findOneAndUpdate(
+      {
+        repository: repository._id,
+        githubIssueId,
+        githubUpdatedAt: { $not: { $gt: issue.githubUpdatedAt } },
+      },
+      { $set: issue },
+      { new: true, upsert: true, runValidators: true }
+    );
+  } catch (error) {
+    if (error.code === 11000) {
+      // The stored issue is newer, the upsert tried to insert a duplicate
+      console.log(`Ignoring stale update for issue #${number}`);
+      return await this.findOne({ repository: repository._id, githubIssueId });
+    }
+    console.error("Error creating/updating issue from webhook:", error);
+    throw error;
+  }
+};
+
+// Static method to count issues opened or closed-as-completed per contributor
+issueSchema.statics.countContributorIssues = async function (
+  repositoryId,
+  userIds = null
+) {
+  const pipeline = [
+    { $match: { repository: new mongoose.Types.ObjectId(repositoryId) } },
+    {
+      $project: {
+        contributors: {
+          $setUnion: [
+            ["$user"],
+            {
+              $cond: [
+                {
+                  $and: [
+                    { $eq: ["$stateReason", "completed"] },
+                    { $ne: [{ $ifNull: ["$closedBy", null] }, null] },
+                  ],
+                },
+                ["$closedBy"],
+                [],
+              ],
+            },
+          ],
+        },
+      },
+    },
+    { $unwind: "$contributors" },
+  ];
+
+  if (userIds) {
+    pipeline.push({
+      $match: {
+        contributors: {
+          $in: userIds.map((id) => new mongoose.Types.ObjectId(id)),
+        },
+      },
+    });
+  }
+
+  pipeline.push({
+    $group: { _id: "$contributors", totalIssues: { $sum: 1 } },
+  });
+
+  return this.aggregate(pipeline);
+};
+
+const Issue = mongoose.model("Issue", issueSchema);
+
+export default Issue;
@@ -0,0 +1,176 @@
+import mongoose from "mongoose";
+
+const jobSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: {
+        values: [
+          "award_badges",
+          "sync_repository",
+          "sync_contributors",
+          "backfill_issues",
+          "backfill_pull_requests",
+        ],
+        message: "Unknown job type: {VALUE}",
+      },
+      required: [true, "Job type is required"],
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ["queued", "running", "completed", "failed"],
+      default: "queued",
+      index: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    progress: {
+      percent: { type: Number, default: 0, min: 0, max: 100 },
+      message: { type: String, default: null },
+    },
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 3,
+      min: 1,
+    },
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedAt: {
+      type: Date,
+      default: null,
+    },
+    startedAt: {
+      type: Date,
+    },
+    completedAt: {
+      type: Date,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      index: true,
+    },
+    repository: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Repository",
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+    toObject: {
+      virtuals: true,
+    },
+  }
+);
+
+// Index for the worker picking up the next job
+jobSchema.index({ status: 1, runAt: 1, createdAt: 1 });
+
+// Jobs locked longer than this are assumed to belong to a crashed worker
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Static method to add a job to the queue
+jobSchema.statics.enqueue = function (type, payload = {}, options = {}) {
+  const {
+    createdBy = null,
+    repository = null,
+    maxAttempts,
+    runAt = null,
+  } = options;
+
+  return this.create({
+    type,
+    payload,
+    createdBy,
+    repository,
+    ...(maxAttempts && { maxAttempts }),
+    ...(runAt && { runAt }),
+  });
+};
+
+// Static method to atomically claim the next runnable job
+jobSchema.statics.claimNext = function () {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: "queued", runAt: { $lte: now } },
+        {
+          status: "running",
+          lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) },
+        },
+      ],
+    },
+    {
+      $set: { status: "running", lockedAt: now, startedAt: now },
+      $inc: { attempts: 1 },
+    },
+    { new: true, sort: { runAt: 1, createdAt: 1 } }
+  );
+};
+
+// Instance method to report progress
+jobSchema.methods.updateProgress = function (percent, message = null) {
+  this.progress = {
+    percent: Math.max(0, Math.min(100, Math.round(percent))),
+    message,
+  };
+  return this.save();
+};
+
+// Instance method to mark as completed
+jobSchema.methods.complete = function (result = null) {
+  this.status = "completed";
+  this.result = result;
+  this.error = null;
+  this.progress = { percent: 100, message: "Completed" };
+  this.lockedAt = null;
+  this.completedAt = new Date();
+  return this.save();
+};
+
+// Instance method to mark as failed, re-queueing with backoff if attempts remain
+jobSchema.methods.fail = function (errorMessage) {
+  this.error = errorMessage;
+  this.lockedAt = null;
+
+  if (this.attempts < this.maxAttempts) {
+    this.status = "queued";
+    this.runAt = new Date(Date.now() + Math.pow(2, this.attempts) * 30 * 1000);
+  } else {
+    this.status = "failed";
+    this.completedAt = new Date();
+  }
+
+  return this.save();
+};
+
+const Job = mongoose.model("Job", jobSchema);
+
+export default Job;
@@ -200,7 +200,8 @@ pullRequestSchema.statics.createOrUpdateFromWebhook = async function (
     number,
     title,
     body: body || "",
-    state,
+    // GitHub reports merged PRs as "closed"
+    state: merged ? "merged" : state,
     merged: !!merged,
     mergedAt: mergedAt ? new Date(mergedAt) : null,
     closedAt: closedAt ? new Date(closedAt) : null,
@@ -228,6 +229,13 @@ pullRequestSchema.statics.createOrUpdateFromWebhook = async function (
     });
 
     if (existingPR) {
+      // Deliveries can be processed out of order, e.g. a retried "opened"
+      // after "closed", so never overwrite newer data with older
+      if (existingPR.githubUpdatedAt > prData.githubUpdatedAt) {
+        console.log(`Ignoring stale update for PR #${number}`);
+        return existingPR;
+      }
+
       Object.assign(existingPR, prData);
       return await existingPR.save();
     } else {
@@ -0,0 +1,117 @@
+import mongoose from "mongoose";
+
+const releaseSchema = new mongoose.Schema(
+  {
+    repository: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Repository",
+      required: [true, "Repository reference is required"],
+      index: true,
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Author reference is required"],
+      index: true,
+    },
+    githubReleaseId: {
+      type: Number,
+      required: [true, "GitHub release ID is required"],
+      index: true,
+    },
+    tagName: {
+      type: String,
+      required: [true, "Tag name is required"],
+      trim: true,
+    },
+    name: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    prerelease: {
+      type: Boolean,
+      default: false,
+    },
+    publishedAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    url: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+    toObject: {
+      virtuals: true,
+    },
+  }
+);
+
+// Compound indexes for performance and uniqueness
+releaseSchema.index({ repository: 1, githubReleaseId: 1 }, { unique: true });
+releaseSchema.index({ repository: 1, author: 1 });
+
+// Static method to create or update a published release from a release webhook
+releaseSchema.statics.createOrUpdateFromWebhook = async function (
+  releaseData,
+  repository,
+  author
+) {
+  try {
+    return await this.findOneAndUpdate(
+      { repository: repository._id, githubReleaseId: releaseData.id },
+      {
+        $set: {
+          author: author._id,
+          tagName: releaseData.tag_name,
+          name: releaseData.name || null,
+          prerelease: !!releaseData.prerelease,
+          publishedAt: releaseData.published_at
+            ? new Date(releaseData.published_at)
+            : null,
+          url: releaseData.html_url,
+        },
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+  } catch (error) {
+    console.error("Error creating/updating release from webhook:", error);
+    throw error;
+  }
+};
+
+// Static method to count published releases per author
+releaseSchema.statics.countAuthorReleases = function (
+  repositoryId,
+  userIds = null
+) {
+  const matchStage = {
+    repository: new mongoose.Types.ObjectId(repositoryId),
+    publishedAt: { $ne: null },
+  };
+  if (userIds) {
+    matchStage.author = {
+      $in: userIds.map((id) => new mongoose.Types.ObjectId(id)),
+    };
+  }
+
+  return this.aggregate([
+    { $match: matchStage },
+    { $group: { _id: "$author", totalReleases: { $sum: 1 } } },
+  ]);
+};
+
+const Release = mongoose.model("Release", releaseSchema);
+
+export default Release;
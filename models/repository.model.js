@@ -98,6 +98,26 @@ const repositorySchema = new mongoose.Schema(
       type: Date,
       default: Date.now,
     },
+    // Cursor for the resumable pull request backfill from the GitHub API
+    prBackfill: {
+      nextPage: { type: Number, default: 1, min: 1 },
+      // Failed runs of the current page, it is skipped after a few
+      pageAttempts: { type: Number, default: 0, min: 0 },
+      lastRunAt: { type: Date, default: null },
+      completedAt: { type: Date, default: null },
+    },
+    // Last time GitHub contributors and collaborators were enrolled as members
+    contributorsSyncedAt: {
+      type: Date,
+      default: null,
+    },
+    // GitHub webhook installed on import, deliveries are signed with its
+    // secret, which is stored encrypted
+    webhook: {
+      id: { type: Number, default: null },
+      secret: { type: String, default: null, select: false },
+      installedAt: { type: Date, default: null },
+    },
     active: {
       type: Boolean,
       default: true,
@@ -0,0 +1,188 @@
+import mongoose from "mongoose";
+
+const reviewSchema = new mongoose.Schema(
+  {
+    repository: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Repository",
+      required: [true, "Repository reference is required"],
+      index: true,
+    },
+    reviewer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Reviewer reference is required"],
+      index: true,
+    },
+    pullRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PullRequest",
+      default: null,
+    },
+    githubReviewId: {
+      type: Number,
+      required: [true, "GitHub review ID is required"],
+      index: true,
+    },
+    prNumber: {
+      type: Number,
+      required: [true, "PR number is required"],
+    },
+    state: {
+      type: String,
+      enum: [
+        "approved",
+        "changes_requested",
+        "commented",
+        "dismissed",
+        "pending",
+      ],
+      default: "commented",
+      index: true,
+    },
+    commentCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    submittedAt: {
+      type: Date,
+      index: true,
+    },
+    url: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+    toObject: {
+      virtuals: true,
+    },
+  }
+);
+
+// Compound indexes for performance and uniqueness
+reviewSchema.index({ repository: 1, githubReviewId: 1 }, { unique: true });
+reviewSchema.index({ repository: 1, reviewer: 1, state: 1 });
+
+// Review states that count towards review badges
+const COUNTED_REVIEW_STATES = ["approved", "changes_requested"];
+
+// Static method to create or update a review from a pull_request_review webhook
+reviewSchema.statics.createOrUpdateFromWebhook = async function (
+  reviewData,
+  pullRequestData,
+  repository,
+  reviewer
+) {
+  const PullRequest = mongoose.model("PullRequest");
+  const pullRequest = await PullRequest.findOne({
+    repository: repository._id,
+    githubPrId: pullRequestData.id,
+  }).select("_id");
+
+  // Webhooks send lowercase states, the REST API uppercase
+  const state = reviewData.state.toLowerCase();
+
+  // Reviews don't report when they last changed, but dismissal is final, so
+  // a late or retried delivery must not restore a dismissed review
+  const filter = { repository: repository._id, githubReviewId: reviewData.id };
+  if (state !== "dismissed") {
+    filter.state = { $ne: "dismissed" };
+  }
+
+  try {
+    return await this.findOneAndUpdate(
+      filter,
+      {
+        $set: {
+          reviewer: reviewer._id,
+          pullRequest: pullRequest?._id || null,
+          prNumber: pullRequestData.number,
+          state,
+          submittedAt: reviewData.submitted_at
+            ? new Date(reviewData.submitted_at)
+            : null,
+          url: reviewData.html_url,
+        },
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+  } catch (error) {
+    if (error.code === 11000) {
+      // The stored review is dismissed, the upsert tried to insert a duplicate
+      console.log(
+        `Ignoring stale update for dismissed review ${reviewData.id}`
+      );
+      return await this.findOne({
+        repository: repository._id,
+        githubReviewId: reviewData.id,
+      });
+    }
+    console.error("Error creating/updating review from webhook:", error);
+    throw error;
+  }
+};
+
+// Static method to track a review comment against its parent review
+reviewSchema.statics.recordComment = async function (
+  commentData,
+  pullRequestData,
+  repository,
+  reviewer,
+  delta = 1
+) {
+  if (!commentData.pull_request_review_id) {
+    return null;
+  }
+
+  return this.findOneAndUpdate(
+    {
+      repository: repository._id,
+      githubReviewId: commentData.pull_request_review_id,
+    },
+    {
+      $inc: { commentCount: delta },
+      $setOnInsert: {
+        reviewer: reviewer._id,
+        prNumber: pullRequestData.number,
+        state: "commented",
+        submittedAt: new Date(commentData.created_at),
+      },
+    },
+    { new: true, upsert: delta > 0 }
+  );
+};
+
+// Static method to count approving/change-requesting reviews per reviewer
+reviewSchema.statics.countReviewerReviews = function (
+  repositoryId,
+  userIds = null
+) {
+  const matchStage = {
+    repository: new mongoose.Types.ObjectId(repositoryId),
+    state: { $in: COUNTED_REVIEW_STATES },
+  };
+  if (userIds) {
+    matchStage.reviewer = {
+      $in: userIds.map((id) => new mongoose.Types.ObjectId(id)),
+    };
+  }
+
+  return this.aggregate([
+    { $match: matchStage },
+    { $group: { _id: "$reviewer", totalReviews: { $sum: 1 } } },
+  ]);
+};
+
+const Review = mongoose.model("Review", reviewSchema);
+
+export default Review;
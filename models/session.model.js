@@ -0,0 +1,189 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+
+export const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Concurrent refreshes from the same client may present the just-rotated
+// token, only treat it as theft after this window
+const REUSE_GRACE_MS = 30 * 1000;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+      index: true,
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    previousTokenHash: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    rotatedAt: {
+      type: Date,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: null,
+      maxLength: 500,
+    },
+    ipAddress: {
+      type: String,
+      default: null,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: ["logout", "user_revoked", "token_reuse", null],
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        delete ret.refreshTokenHash;
+        delete ret.previousTokenHash;
+        return ret;
+      },
+    },
+  }
+);
+
+// Remove sessions a week after they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+sessionSchema.index({ user: 1, revokedAt: 1, expiresAt: 1 });
+
+// Virtual for whether the session can still be used
+sessionSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+/**
+ * Refresh tokens are "<session id>.<secret>" so the session can be found
+ * without storing the secret itself
+ */
+const generateRefreshToken = (sessionId) =>
+  `${sessionId}.${crypto.randomBytes(32).toString("hex")}`;
+
+// Static method to start a session, returns the session and its refresh token
+sessionSchema.statics.createForUser = async function (user, req) {
+  const session = new this({
+    user: user._id,
+    userAgent: req.headers["user-agent"]?.substring(0, 500) || null,
+    ipAddress: req.ip || null,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+  });
+
+  const refreshToken = generateRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return { session, refreshToken };
+};
+
+// Static method to exchange a refresh token for a new one. Presenting an
+// already rotated token revokes the session, as it may have been stolen
+sessionSchema.statics.rotate = async function (refreshToken) {
+  const [sessionId] = (refreshToken || "").split(".");
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    return { error: "Invalid refresh token" };
+  }
+
+  const presentedHash = hashToken(refreshToken);
+  const newRefreshToken = generateRefreshToken(sessionId);
+  const now = new Date();
+
+  // Swap the token in one step, so of two concurrent refreshes presenting
+  // the same token only one wins and the other sees it as already used
+  const session = await this.findOneAndUpdate(
+    {
+      _id: sessionId,
+      refreshTokenHash: presentedHash,
+      revokedAt: null,
+      expiresAt: { $gt: now },
+    },
+    {
+      $set: {
+        previousTokenHash: presentedHash,
+        refreshTokenHash: hashToken(newRefreshToken),
+        rotatedAt: now,
+        lastUsedAt: now,
+      },
+    },
+    { new: true }
+  );
+  if (session) {
+    return { session, refreshToken: newRefreshToken };
+  }
+
+  const current = await this.findById(sessionId).select("+previousTokenHash");
+  if (!current || !current.isActive) {
+    return { error: "Session expired or revoked" };
+  }
+
+  if (presentedHash === current.previousTokenHash) {
+    if (Date.now() - current.rotatedAt.getTime() > REUSE_GRACE_MS) {
+      await current.revoke("token_reuse");
+      return { error: "Refresh token reuse detected, session revoked" };
+    }
+    // A concurrent refresh rotated the token moments ago, the session is fine
+    return { error: "Refresh token already used", conflict: true };
+  }
+
+  return { error: "Invalid refresh token" };
+};
+
+// Static method to list a user's active sessions
+sessionSchema.statics.findActiveByUser = function (userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastUsedAt: -1 });
+};
+
+// Static method to check whether a session can still authenticate requests
+sessionSchema.statics.isSessionActive = async function (sessionId) {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    return false;
+  }
+  return !!(await this.exists({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }));
+};
+
+// Instance method to revoke the session
+sessionSchema.methods.revoke = function (reason = "user_revoked") {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+const Session = mongoose.model("Session", sessionSchema);
+
+export default Session;
@@ -43,6 +43,7 @@ const userBadgeSchema = new mongoose.Schema(
       triggeringEvent: String,
       prNumber: Number,
       commitSha: String,
+      deliveryId: String, // GitHub webhook delivery that triggered the award
       additionalData: mongoose.Schema.Types.Mixed,
     },
     acknowledged: {
@@ -106,6 +107,7 @@ userBadgeSchema.statics.awardBadge = async function ({
   repositoryId,
   actualValue,
   triggeringEvent = null,
+  awardedBy = "system",
   metadata = {},
 }) {
   try {
@@ -129,6 +131,7 @@ userBadgeSchema.statics.awardBadge = async function ({
       badge: badgeId,
       repository: repositoryId,
       actualValue,
+      awardedBy,
       metadata: {
         ...metadata,
         triggeringEvent,
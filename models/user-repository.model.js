@@ -1,5 +1,26 @@
 import mongoose from "mongoose";
 
+export const REPOSITORY_ROLES = ["owner", "maintainer", "contributor"];
+
+// Permissions each role starts with, owners can adjust them per member
+export const ROLE_PERMISSIONS = {
+  owner: {
+    canManageBadges: true,
+    canViewAnalytics: true,
+    canInviteContributors: true,
+  },
+  maintainer: {
+    canManageBadges: true,
+    canViewAnalytics: true,
+    canInviteContributors: true,
+  },
+  contributor: {
+    canManageBadges: false,
+    canViewAnalytics: true,
+    canInviteContributors: false,
+  },
+};
+
 const userRepositorySchema = new mongoose.Schema(
   {
     user: {
@@ -17,8 +38,8 @@ const userRepositorySchema = new mongoose.Schema(
     role: {
       type: String,
       enum: {
-        values: ["owner", "contributor"],
-        message: "Role must be either 'owner' or 'contributor'",
+        values: REPOSITORY_ROLES,
+        message: "Role must be one of 'owner', 'maintainer' or 'contributor'",
       },
       required: [true, "User role is required"],
       index: true,
@@ -114,12 +135,17 @@ userRepositorySchema.statics.getUserRepositories = function (
     .limit(parseInt(limit));
 };
 
-// Static method to add user to repository
+// Static method to add user to repository. Active members keep their role
+// (and any customised permissions) unless the new role outranks it, or
+// options.replaceRole asks for the change explicitly
 userRepositorySchema.statics.addUserToRepository = async function (
   userId,
   repositoryId,
-  role
+  role,
+  options = {}
 ) {
+  const { replaceRole = false } = options;
+
   try {
     // Check if relationship already exists
     const existing = await this.findOne({
@@ -128,31 +154,23 @@ userRepositorySchema.statics.addUserToRepository = async function (
     });
 
     if (existing) {
-      // Update existing relationship
-      existing.role = role;
+      // Update existing relationship, never downgrading an active member
+      const outranks =
+        REPOSITORY_ROLES.indexOf(role) <
+        REPOSITORY_ROLES.indexOf(existing.role);
+      if (replaceRole || !existing.active || outranks) {
+        existing.role = role;
+      }
       existing.active = true;
       existing.importedAt = new Date();
 
-      // Set permissions based on role
-      if (role === "owner") {
-        existing.permissions.canManageBadges = true;
-        existing.permissions.canInviteContributors = true;
-      }
-
       return await existing.save();
     } else {
-      // Create new relationship
-      const permissions = {
-        canManageBadges: role === "owner",
-        canViewAnalytics: true,
-        canInviteContributors: role === "owner",
-      };
-
+      // Create new relationship, permissions come from the role
       return await this.create({
         user: userId,
         repository: repositoryId,
         role,
-        permissions,
       });
     }
   } catch (error) {
@@ -188,21 +206,16 @@ userRepositorySchema.methods.updatePermissions = function (newPermissions) {
   return this.save();
 };
 
-// Instance method to check permission
+// Instance method to check permission, owners always have every permission
 userRepositorySchema.methods.hasPermission = function (permission) {
-  return this.permissions[permission] === true;
+  return this.role === "owner" || this.permissions[permission] === true;
 };
 
-// Pre-save middleware to set default permissions
+// Pre-save middleware to reset permissions to the role defaults when the
+// role changes
 userRepositorySchema.pre("save", function (next) {
   if (this.isNew || this.isModified("role")) {
-    if (this.role === "owner") {
-      this.permissions.canManageBadges = true;
-      this.permissions.canInviteContributors = true;
-    } else {
-      this.permissions.canManageBadges = false;
-      this.permissions.canInviteContributors = false;
-    }
+    Object.assign(this.permissions, ROLE_PERMISSIONS[this.role]);
   }
   next();
 });
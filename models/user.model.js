@@ -1,13 +1,107 @@
 import mongoose from "mongoose";
+import { encrypt, decrypt, isEncrypted } from "../utils/encryption.js";
 
 const userSchema = new mongoose.Schema({
   email: { type: String, required: false },
+  // Whether GitHub reports the email as verified, only then it can be
+  // trusted to identify the user, e.g. for email invitations
+  emailVerified: { type: Boolean, default: false },
   githubAvatar: { type: String, required: false },
   githubId: { type: String, required: true, unique: true },
   githubUsername: { type: String, required: true, unique: true },
+  // Encrypted at rest, read it with getGitHubToken()
   githubToken: String,
 
   onboardingComplete: { type: Boolean, default: true },
+  // True for GitHub identities seen via webhooks that have not signed in yet
+  isPlaceholder: { type: Boolean, default: false },
+});
+
+// Static method to find a user by GitHub identity, creating a placeholder
+// for contributors who have not signed up yet
+userSchema.statics.findOrCreateFromGitHub = async function (githubUser) {
+  const githubId = String(githubUser.id);
+
+  const existing = await this.findOne({ githubId });
+  if (existing) {
+    return existing;
+  }
+
+  const placeholder = {
+    githubId,
+    githubUsername: githubUser.login,
+    githubAvatar: githubUser.avatar_url,
+    onboardingComplete: false,
+    isPlaceholder: true,
+  };
+
+  try {
+    return await this.create(placeholder);
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+
+    // Created concurrently by another delivery
+    if (!error.keyPattern?.githubUsername) {
+      return await this.findOne({ githubId });
+    }
+  }
+
+  // The login is still held by another GitHub account from before a rename
+  await this.releaseGitHubUsername(githubUser.login, githubId);
+  try {
+    return await this.create(placeholder);
+  } catch (error) {
+    if (error.code === 11000) {
+      return await this.findOne({ githubId });
+    }
+    throw error;
+  }
+};
+
+// Static method to free a GitHub login held by another GitHub account.
+// Logins can be reused after a rename, so the holder is stale. It keeps its
+// data under "<login>~<githubId>" until that account is seen again
+userSchema.statics.releaseGitHubUsername = async function (
+  githubUsername,
+  githubId
+) {
+  const holder = await this.findOne({
+    githubUsername,
+    githubId: { $ne: String(githubId) },
+  });
+  if (!holder) {
+    return null;
+  }
+
+  holder.githubUsername = `${githubUsername}~${holder.githubId}`;
+  await holder.save();
+  return holder;
+};
+
+// Instance method to get the decrypted GitHub access token
+userSchema.methods.getGitHubToken = function () {
+  if (!this.githubToken) {
+    return null;
+  }
+  // Tokens saved before encryption was introduced are still plaintext
+  // until the migration has run
+  return isEncrypted(this.githubToken)
+    ? decrypt(this.githubToken)
+    : this.githubToken;
+};
+
+// Pre-save middleware to encrypt the GitHub access token
+userSchema.pre("save", function (next) {
+  if (
+    this.isModified("githubToken") &&
+    this.githubToken &&
+    !isEncrypted(this.githubToken)
+  ) {
+    this.githubToken = encrypt(this.githubToken);
+  }
+  next();
 });
 
 export default mongoose.model("User", userSchema);
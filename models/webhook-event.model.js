@@ -1,5 +1,8 @@
 import mongoose from "mongoose";
 
+// Failed events are retried with exponential backoff up to this many attempts
+const MAX_PROCESSING_ATTEMPTS = 5;
+
 const webhookEventSchema = new mongoose.Schema(
   {
     eventType: { type: String, required: true },
@@ -15,8 +18,20 @@ const webhookEventSchema = new mongoose.Schema(
     },
     action: String, // For events that have actions (opened, closed, etc.)
     payload: mongoose.Schema.Types.Mixed, // Store the full payload
-    processedAt: { type: Date, default: Date.now },
+    status: {
+      type: String,
+      enum: ["received", "processed", "failed"],
+      default: "received",
+    },
+    error: { type: String, default: null }, // Last handler error message
+    attempts: { type: Number, default: 0 },
+    completedHandlers: { type: [String], default: [] }, // Not re-run on retry
+    durationMs: Number, // Duration of the last handler run
+    nextAttemptAt: { type: Date, default: null }, // Null once retries are exhausted
+    processedAt: { type: Date, default: null },
     userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // Associated user if found
+    replayCount: { type: Number, default: 0 },
+    lastReplayedAt: Date,
   },
   {
     timestamps: true,
@@ -26,5 +41,28 @@ const webhookEventSchema = new mongoose.Schema(
 // Index for querying by repository and event type
 webhookEventSchema.index({ "repository.fullName": 1, eventType: 1 });
 webhookEventSchema.index({ userId: 1 });
+webhookEventSchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Instance method to record a successful handler run
+webhookEventSchema.methods.markProcessed = function (durationMs) {
+  this.status = "processed";
+  this.error = null;
+  this.durationMs = durationMs;
+  this.nextAttemptAt = null;
+  this.processedAt = new Date();
+  return this.save();
+};
+
+// Instance method to record a failed handler run and schedule a retry
+webhookEventSchema.methods.markFailed = function (errorMessage, durationMs) {
+  this.status = "failed";
+  this.error = errorMessage;
+  this.durationMs = durationMs;
+  this.nextAttemptAt =
+    this.attempts < MAX_PROCESSING_ATTEMPTS
+      ? new Date(Date.now() + Math.pow(2, this.attempts) * 60 * 1000)
+      : null;
+  return this.save();
+};
 
 export default mongoose.model("WebhookEvent", webhookEventSchema);
@@ -1,20 +1,46 @@
 import express from "express";
 import {
   logout,
+  refresh,
+  exchangeCode,
+  getSessions,
+  revokeSession,
   getCurrentUser,
   githubRedirect,
   githubCallback,
 } from "../controllers/auth.controller.js";
-import { authenticateToken } from "../middleware/auth.middleware.js";
+import {
+  listTokens,
+  createToken,
+  revokeToken,
+} from "../controllers/token.controller.js";
+import {
+  authenticateToken,
+  requireSession,
+} from "../middleware/auth.middleware.js";
 
 const router = express.Router();
 
 // GitHub OAuth (public routes)
 router.get("/github", githubRedirect);
 router.get("/github/callback", githubCallback);
+router.post("/exchange", exchangeCode);
+router.post("/refresh", refresh);
 
 // Protected routes (require authentication)
-router.post("/logout", authenticateToken, logout);
+router.post("/logout", authenticateToken, requireSession, logout);
 router.get("/me", authenticateToken, getCurrentUser);
+router.get("/sessions", authenticateToken, requireSession, getSessions);
+router.delete(
+  "/sessions/:id",
+  authenticateToken,
+  requireSession,
+  revokeSession
+);
+
+// Personal access tokens (managed from a signed-in session only)
+router.get("/tokens", authenticateToken, requireSession, listTokens);
+router.post("/tokens", authenticateToken, requireSession, createToken);
+router.delete("/tokens/:id", authenticateToken, requireSession, revokeToken);
 
 export default router;
@@ -1,11 +1,16 @@
 import express from "express";
 import {
   checkAndAwardBadges,
+  acknowledgeBadges,
   getUserBadgesForRepository,
   getUserBadgeProgress,
   getRepositoryLeaderboard,
 } from "../controllers/badge.controller.js";
-import { authenticateToken } from "../middleware/auth.middleware.js";
+import {
+  authenticateToken,
+  requireScope,
+} from "../middleware/auth.middleware.js";
+import { requireRepositoryAccess } from "../middleware/repository-access.middleware.js";
 
 const router = express.Router();
 
@@ -13,15 +18,33 @@ const router = express.Router();
 router.use(authenticateToken);
 
 // POST /api/badges/check - Check and award badges for user in repository
-router.post("/check", checkAndAwardBadges);
+router.post("/check", requireScope("badges:write"), checkAndAwardBadges);
+
+// POST /api/badges/acknowledge - Mark waiting badges as seen
+router.post("/acknowledge", requireScope("badges:write"), acknowledgeBadges);
 
 // GET /api/badges/repository/:id - Get user's badges for repository
-router.get("/repository/:id", getUserBadgesForRepository);
+router.get(
+  "/repository/:id",
+  requireScope("badges:read"),
+  requireRepositoryAccess(),
+  getUserBadgesForRepository
+);
 
 // GET /api/badges/repository/:id/progress - Get user's badge progress for repository
-router.get("/repository/:id/progress", getUserBadgeProgress);
+router.get(
+  "/repository/:id/progress",
+  requireScope("badges:read"),
+  requireRepositoryAccess(),
+  getUserBadgeProgress
+);
 
 // GET /api/badges/repository/:id/leaderboard - Get repository leaderboard
-router.get("/repository/:id/leaderboard", getRepositoryLeaderboard);
+router.get(
+  "/repository/:id/leaderboard",
+  requireScope("badges:read"),
+  requireRepositoryAccess({ permission: "canViewAnalytics" }),
+  getRepositoryLeaderboard
+);
 
 export default router;
@@ -3,9 +3,13 @@ import {
   handleWebhook,
   getUserEvents,
   getEventDetails,
+  replayEvent,
   getUserRepositories,
 } from "../controllers/github.controller.js";
-import { authenticateToken } from "../middleware/auth.middleware.js";
+import {
+  authenticateToken,
+  requireScope,
+} from "../middleware/auth.middleware.js";
 
 const router = express.Router();
 
@@ -15,12 +19,35 @@ router.post("/webhook", handleWebhook);
 
 // Protected endpoints (require authentication)
 // GET /github/repositories - Get user's GitHub repositories
-router.get("/repositories", authenticateToken, getUserRepositories);
+router.get(
+  "/repositories",
+  authenticateToken,
+  requireScope("repositories:read"),
+  getUserRepositories
+);
 
 // GET /github/events - Get user's webhook events
-router.get("/events", authenticateToken, getUserEvents);
+router.get(
+  "/events",
+  authenticateToken,
+  requireScope("events:read"),
+  getUserEvents
+);
 
 // GET /github/events/:id - Get detailed event info
-router.get("/events/:id", authenticateToken, getEventDetails);
+router.get(
+  "/events/:id",
+  authenticateToken,
+  requireScope("events:read"),
+  getEventDetails
+);
+
+// POST /github/events/:id/replay - Re-run a stored event (repository owner only)
+router.post(
+  "/events/:id/replay",
+  authenticateToken,
+  requireScope("events:write"),
+  replayEvent
+);
 
 export default router;
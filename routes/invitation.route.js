@@ -0,0 +1,22 @@
+import express from "express";
+import {
+  acceptInvitation,
+  declineInvitation,
+} from "../controllers/invitation.controller.js";
+import {
+  authenticateToken,
+  requireScope,
+} from "../middleware/auth.middleware.js";
+
+const router = express.Router();
+
+// All invitation routes require authentication
+router.use(authenticateToken);
+
+// POST /api/invitations/accept - Accept an invitation from its invite link token
+router.post("/accept", requireScope("repositories:write"), acceptInvitation);
+
+// POST /api/invitations/decline - Decline an invitation from its invite link token
+router.post("/decline", requireScope("repositories:write"), declineInvitation);
+
+export default router;
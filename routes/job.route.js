@@ -0,0 +1,16 @@
+import express from "express";
+import { getJob } from "../controllers/job.controller.js";
+import {
+  authenticateToken,
+  requireScope,
+} from "../middleware/auth.middleware.js";
+
+const router = express.Router();
+
+// All job routes require authentication
+router.use(authenticateToken);
+
+// GET /api/jobs/:id - Get background job status and results
+router.get("/:id", requireScope("jobs:read"), getJob);
+
+export default router;
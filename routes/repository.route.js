@@ -6,30 +6,187 @@ import {
   syncRepository,
   awardBadges,
   getBadgeProgress,
+  backfillIssues,
+  backfillPullRequests,
+  deactivateRepository,
+  getRepositoryMembers,
+  updateRepositoryMember,
 } from "../controllers/repository.controller.js";
-import { authenticateToken } from "../middleware/auth.middleware.js";
+import {
+  listRepositoryBadges,
+  createBadge,
+  updateBadge,
+  archiveBadge,
+  deleteBadge,
+} from "../controllers/badge.controller.js";
+import {
+  createInvitation,
+  listInvitations,
+  revokeInvitation,
+} from "../controllers/invitation.controller.js";
+import {
+  authenticateToken,
+  requireScope,
+} from "../middleware/auth.middleware.js";
+import { requireRepositoryAccess } from "../middleware/repository-access.middleware.js";
 
 const router = express.Router();
 
 // All repository routes require authentication
 router.use(authenticateToken);
 
+// Routes on a single repository check the caller's membership, role and
+// permissions for :id
+const member = requireRepositoryAccess();
+const owner = requireRepositoryAccess({ roles: ["owner"] });
+const badgeManager = requireRepositoryAccess({ permission: "canManageBadges" });
+const inviter = requireRepositoryAccess({
+  permission: "canInviteContributors",
+});
+
 // POST /api/repositories/import - Import repositories from GitHub
-router.post("/import", importRepositories);
+router.post("/import", requireScope("repositories:write"), importRepositories);
 
 // GET /api/repositories - Get user's imported repositories
-router.get("/", getUserRepositories);
+router.get("/", requireScope("repositories:read"), getUserRepositories);
 
 // GET /api/repositories/:id - Get repository details
-router.get("/:id", getRepositoryDetails);
+router.get(
+  "/:id",
+  requireScope("repositories:read"),
+  member,
+  getRepositoryDetails
+);
+
+// DELETE /api/repositories/:id - Deactivate repository and remove its webhook
+router.delete(
+  "/:id",
+  requireScope("repositories:write"),
+  owner,
+  deactivateRepository
+);
 
 // POST /api/repositories/:id/sync - Sync repository with GitHub
-router.post("/:id/sync", syncRepository);
+router.post(
+  "/:id/sync",
+  requireScope("repositories:write"),
+  owner,
+  syncRepository
+);
 
 // POST /api/repositories/:id/award-badges - Award badges for repository
-router.post("/:id/award-badges", awardBadges);
+router.post(
+  "/:id/award-badges",
+  requireScope("badges:write"),
+  badgeManager,
+  awardBadges
+);
 
 // GET /api/repositories/:id/badge-progress - Get badge progress for repository
-router.get("/:id/badge-progress", getBadgeProgress);
+router.get(
+  "/:id/badge-progress",
+  requireScope("badges:read"),
+  member,
+  getBadgeProgress
+);
+
+// POST /api/repositories/:id/issues/backfill - Import issues from GitHub
+router.post(
+  "/:id/issues/backfill",
+  requireScope("repositories:write"),
+  owner,
+  backfillIssues
+);
+
+// POST /api/repositories/:id/pull-requests/backfill - Import past PRs from GitHub
+router.post(
+  "/:id/pull-requests/backfill",
+  requireScope("repositories:write"),
+  owner,
+  backfillPullRequests
+);
+
+// Badge management (requires canManageBadges permission)
+// GET /api/repositories/:id/badges - List all badges, including archived
+router.get(
+  "/:id/badges",
+  requireScope("badges:read"),
+  badgeManager,
+  listRepositoryBadges
+);
+
+// POST /api/repositories/:id/badges - Create a badge
+router.post(
+  "/:id/badges",
+  requireScope("badges:write"),
+  badgeManager,
+  createBadge
+);
+
+// PATCH /api/repositories/:id/badges/:badgeId - Update a badge
+router.patch(
+  "/:id/badges/:badgeId",
+  requireScope("badges:write"),
+  badgeManager,
+  updateBadge
+);
+
+// POST /api/repositories/:id/badges/:badgeId/archive - Archive a badge
+router.post(
+  "/:id/badges/:badgeId/archive",
+  requireScope("badges:write"),
+  badgeManager,
+  archiveBadge
+);
+
+// DELETE /api/repositories/:id/badges/:badgeId - Delete an unawarded badge
+router.delete(
+  "/:id/badges/:badgeId",
+  requireScope("badges:write"),
+  badgeManager,
+  deleteBadge
+);
+
+// Members (listing requires membership, editing the owner role)
+// GET /api/repositories/:id/members - List members with roles and permissions
+router.get(
+  "/:id/members",
+  requireScope("repositories:read"),
+  member,
+  getRepositoryMembers
+);
+
+// PATCH /api/repositories/:id/members/:userId - Change a member's role or permissions
+router.patch(
+  "/:id/members/:userId",
+  requireScope("repositories:write"),
+  owner,
+  updateRepositoryMember
+);
+
+// Invitations (requires canInviteContributors permission)
+// GET /api/repositories/:id/invitations - List open invitations
+router.get(
+  "/:id/invitations",
+  requireScope("repositories:read"),
+  inviter,
+  listInvitations
+);
+
+// POST /api/repositories/:id/invitations - Invite a GitHub user or email
+router.post(
+  "/:id/invitations",
+  requireScope("repositories:write"),
+  inviter,
+  createInvitation
+);
+
+// DELETE /api/repositories/:id/invitations/:invitationId - Revoke an invitation
+router.delete(
+  "/:id/invitations/:invitationId",
+  requireScope("repositories:write"),
+  inviter,
+  revokeInvitation
+);
 
 export default router;
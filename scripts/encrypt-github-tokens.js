@@ -0,0 +1,100 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import User from "../models/user.model.js";
+import Repository from "../models/repository.model.js";
+import {
+  encrypt,
+  decrypt,
+  isEncrypted,
+  needsReencryption,
+} from "../utils/encryption.js";
+
+dotenv.config();
+
+/**
+ * Encrypt plaintext GitHub tokens and repository webhook secrets, and
+ * re-encrypt ones that use an old key version. Safe to run repeatedly, e.g.
+ * after every key rotation
+ */
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const cursor = User.find({ githubToken: { $nin: [null, ""] } })
+    .select("githubToken")
+    .cursor();
+
+  let updated = 0;
+  let skipped = 0;
+  let failed = 0;
+
+  for await (const user of cursor) {
+    if (!needsReencryption(user.githubToken)) {
+      skipped++;
+      continue;
+    }
+
+    try {
+      const plaintext = isEncrypted(user.githubToken)
+        ? decrypt(user.githubToken)
+        : user.githubToken;
+
+      // Bypass save middleware, the value is already encrypted here
+      await User.updateOne(
+        { _id: user._id },
+        { $set: { githubToken: encrypt(plaintext) } }
+      );
+      updated++;
+    } catch (error) {
+      console.error(`Failed to encrypt token for user ${user._id}:`, error);
+      failed++;
+    }
+  }
+
+  console.log(
+    `GitHub tokens: ${updated} encrypted, ${skipped} already current, ${failed} failed`
+  );
+
+  const repositoryCursor = Repository.find({
+    "webhook.secret": { $nin: [null, ""] },
+  })
+    .select("+webhook.secret")
+    .cursor();
+
+  let secretsUpdated = 0;
+  let secretsSkipped = 0;
+
+  for await (const repository of repositoryCursor) {
+    const { secret } = repository.webhook;
+    if (!needsReencryption(secret)) {
+      secretsSkipped++;
+      continue;
+    }
+
+    try {
+      const plaintext = isEncrypted(secret) ? decrypt(secret) : secret;
+      await Repository.updateOne(
+        { _id: repository._id },
+        { $set: { "webhook.secret": encrypt(plaintext) } }
+      );
+      secretsUpdated++;
+    } catch (error) {
+      console.error(
+        `Failed to encrypt webhook secret for repository ${repository._id}:`,
+        error
+      );
+      failed++;
+    }
+  }
+
+  console.log(
+    `Webhook secrets: ${secretsUpdated} encrypted, ${secretsSkipped} already current`
+  );
+
+  await mongoose.disconnect();
+  process.exit(failed > 0 ? 1 : 0);
+};
+
+migrate().catch((error) => {
+  console.error("Token migration failed:", error);
+  process.exit(1);
+});
@@ -0,0 +1,48 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import Badge from "../models/badge.model.js";
+
+dotenv.config();
+
+/**
+ * Backfill badge rule signatures and rebuild the badge indexes, replacing
+ * the old criteria type/value uniqueness with the signature one. Safe to
+ * run repeatedly
+ */
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const cursor = Badge.find().cursor();
+
+  let updated = 0;
+  let skipped = 0;
+
+  for await (const badge of cursor) {
+    const signature = Badge.buildSignature(badge);
+    if (badge.signature === signature) {
+      skipped++;
+      continue;
+    }
+
+    await Badge.updateOne({ _id: badge._id }, { $set: { signature } });
+    updated++;
+  }
+
+  console.log(
+    `Badge signatures: ${updated} updated, ${skipped} already current`
+  );
+
+  // Signatures must be in place before the unique index is built
+  const dropped = await Badge.syncIndexes();
+  if (dropped.length > 0) {
+    console.log(`Dropped badge indexes: ${dropped.join(", ")}`);
+  }
+
+  await mongoose.disconnect();
+  process.exit(0);
+};
+
+migrate().catch((error) => {
+  console.error("Badge signature migration failed:", error);
+  process.exit(1);
+});
@@ -1,9 +1,20 @@
 import app from "./app.js";
 import connectDB from "./config/db.js";
+import JobQueue from "./services/jobQueue.js";
+import registerJobHandlers from "./services/jobHandlers.js";
+import WebhookProcessor from "./services/webhookProcessor.js";
+import registerWebhookHandlers from "./services/webhookHandlers.js";
+import registerBadgeWebhookHandlers from "./services/badgeWebhookHandlers.js";
 import dotenv from "dotenv";
 dotenv.config();
 
 connectDB();
+registerJobHandlers();
+registerWebhookHandlers();
+registerBadgeWebhookHandlers();
+JobQueue.start();
+WebhookProcessor.start();
+
 const PORT = process.env.PORT || 5175;
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
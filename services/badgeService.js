@@ -4,8 +4,65 @@ import UserBadge from "../models/user-badge.model.js";
 import PullRequest from "../models/pull-request.model.js";
 import User from "../models/user.model.js";
 import UserRepository from "../models/user-repository.model.js";
+import Issue from "../models/issue.model.js";
+import Review from "../models/review.model.js";
+import Release from "../models/release.model.js";
 import mongoose from "mongoose";
 import axios from "axios";
+import GitHubAppService from "./githubAppService.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Requests left for other work when a backfill pauses for the rate limit
+const RATE_LIMIT_RESERVE = 100;
+
+// Runs a backfill page may fail before the cursor moves past it
+const MAX_BACKFILL_PAGE_ATTEMPTS = 3;
+
+/**
+ * When GitHub's rate limit resets, if a response shows it is exhausted (or
+ * has fewer than `reserve` requests left)
+ * @param {Object} response - Axios response, or the response of an error
+ * @param {Object} options - reserve is the number of requests to keep back
+ * @returns {Date|null} - Reset time, or null if requests remain
+ */
+const getRateLimitReset = (response, { reserve = 0 } = {}) => {
+  if (!response?.headers) {
+    return null;
+  }
+
+  const retryAfter = Number(response.headers["retry-after"]);
+  if ([403, 429].includes(response.status) && retryAfter > 0) {
+    return new Date(Date.now() + retryAfter * 1000);
+  }
+
+  const remaining = response.headers["x-ratelimit-remaining"];
+  const reset = Number(response.headers["x-ratelimit-reset"]);
+  if (remaining !== undefined && Number(remaining) <= reserve && reset > 0) {
+    return new Date(reset * 1000);
+  }
+  return null;
+};
+
+/**
+ * Index of the streak period a date falls in, so consecutive periods have
+ * consecutive indexes (weeks start on Monday, UTC)
+ */
+const getPeriodIndex = (date, period) => {
+  const time = new Date(date).getTime();
+  switch (period) {
+    case "day":
+      return Math.floor(time / DAY_MS);
+    case "month":
+      return (
+        new Date(date).getUTCFullYear() * 12 + new Date(date).getUTCMonth()
+      );
+    case "week":
+    default:
+      // The Unix epoch was a Thursday, shift so weeks start on Monday
+      return Math.floor((time + 3 * DAY_MS) / (7 * DAY_MS));
+  }
+};
 
 class BadgeService {
   /**
@@ -147,11 +204,16 @@ class BadgeService {
   /**
    * Award badges to contributors for a specific repository
    * @param {ObjectId} repoId - The repository ID
-   * @param {Object} options - Options for badge awarding
+   * @param {Object} options - Options for badge awarding; onProgress(percent,
+   *   message) is called after each contributor
    * @returns {Object} - Award results with statistics
    */
   static async awardBadgesForRepo(repoId, options = {}) {
-    const { forceRecheck = false, specificUserId = null } = options;
+    const {
+      forceRecheck = false,
+      specificUserId = null,
+      onProgress = null,
+    } = options;
 
     try {
       // 1. Fetch repository and its active badges
@@ -193,7 +255,7 @@ class BadgeService {
       };
 
       // 3. For each contributor, check badge eligibility
-      for (const contributor of contributors) {
+      for (const [index, contributor] of contributors.entries()) {
         for (const badge of activeBadges) {
           try {
             // Skip if badge already awarded (unless force recheck)
@@ -246,6 +308,13 @@ class BadgeService {
             });
           }
         }
+
+        if (onProgress) {
+          await onProgress(
+            ((index + 1) / contributors.length) * 100,
+            `Checked ${index + 1} of ${contributors.length} contributors`
+          );
+        }
       }
 
       return results;
@@ -258,6 +327,233 @@ class BadgeService {
     }
   }
 
+  /**
+   * Backfill pull requests for a repository from the GitHub API, resuming
+   * from the page stored on the repository
+   * Pull requests already stored at their latest version are skipped, so
+   * only new or changed ones cost a detail request. The cursor only moves
+   * past a page once all of its pull requests were stored (or the page has
+   * failed MAX_BACKFILL_PAGE_ATTEMPTS times), and the run stops early when
+   * the GitHub rate limit runs low
+   * @param {String|ObjectId} repoId - Repository ID
+   * @param {String} accessToken - GitHub access token
+   * @param {Object} options - pagesPerRun bounds a single run, restart resets
+   *   the cursor, onProgress(percent, message) is called after each page
+   * @returns {Object} - Backfill results, completed is false if pages remain
+   *   and rateLimitResetAt is set when the run paused for the rate limit
+   */
+  static async backfillPullRequests(repoId, accessToken, options = {}) {
+    const { pagesPerRun = 5, restart = false, onProgress = null } = options;
+
+    const repository = await Repository.findById(repoId);
+    if (!repository) {
+      throw new Error("Repository not found");
+    }
+
+    if (restart) {
+      repository.prBackfill = { nextPage: 1, completedAt: null };
+    }
+
+    const headers = {
+      Authorization: `token ${accessToken}`,
+      Accept: "application/vnd.github.v3+json",
+    };
+    const results = {
+      success: true,
+      repositoryName: repository.fullName,
+      startPage: repository.prBackfill?.nextPage || 1,
+      processed: 0,
+      skipped: 0,
+      completed: false,
+      rateLimitResetAt: null,
+      errors: [],
+    };
+
+    let page = results.startPage;
+
+    for (let run = 1; run <= pagesPerRun; run++) {
+      // Oldest first so pages stay stable as new pull requests are opened
+      let response;
+      try {
+        response = await axios.get(
+          `https://api.github.com/repos/${repository.fullName}/pulls`,
+          {
+            headers,
+            params: {
+              state: "all",
+              sort: "created",
+              direction: "asc",
+              per_page: 100,
+              page,
+            },
+          }
+        );
+      } catch (error) {
+        results.rateLimitResetAt = getRateLimitReset(error.response);
+        if (!results.rateLimitResetAt) {
+          throw error;
+        }
+        break;
+      }
+      results.rateLimitResetAt = getRateLimitReset(response, {
+        reserve: RATE_LIMIT_RESERVE,
+      });
+
+      // Skip pull requests whose stored copy is already up to date
+      const stored = await PullRequest.find({
+        repository: repository._id,
+        githubPrId: { $in: response.data.map((pr) => pr.id) },
+      }).select("githubPrId githubUpdatedAt");
+      const storedUpdatedAt = new Map(
+        stored.map((pr) => [pr.githubPrId, pr.githubUpdatedAt?.getTime()])
+      );
+
+      let pageFailed = false;
+
+      for (const pr of response.data) {
+        if (storedUpdatedAt.get(pr.id) === new Date(pr.updated_at).getTime()) {
+          results.skipped++;
+          continue;
+        }
+
+        // Out of requests, the rest of the page is picked up next run
+        if (results.rateLimitResetAt) {
+          pageFailed = true;
+          break;
+        }
+
+        try {
+          // The list API omits commit counts, additions and deletions
+          const detailResponse = await axios.get(pr.url, { headers });
+          results.rateLimitResetAt = getRateLimitReset(detailResponse, {
+            reserve: RATE_LIMIT_RESERVE,
+          });
+
+          const details = detailResponse.data;
+          const author = await User.findOrCreateFromGitHub(details.user);
+          if (!author) {
+            continue;
+          }
+          await PullRequest.createOrUpdateFromWebhook(
+            details,
+            repository,
+            author
+          );
+          results.processed++;
+        } catch (error) {
+          const resetAt = getRateLimitReset(error.response);
+          if (resetAt) {
+            results.rateLimitResetAt = resetAt;
+            pageFailed = true;
+            break;
+          }
+          results.errors.push({ prNumber: pr.number, error: error.message });
+          pageFailed = true;
+        }
+      }
+
+      const isLastPage = response.data.length < 100;
+      // Pausing for the rate limit doesn't count as a failed attempt
+      const previousAttempts = repository.prBackfill?.pageAttempts || 0;
+      let attempts = 0;
+      if (pageFailed) {
+        attempts = results.rateLimitResetAt
+          ? previousAttempts
+          : previousAttempts + 1;
+      }
+
+      // Failed pages are retried, unless they keep failing for reasons other
+      // than the rate limit
+      const advance =
+        !pageFailed ||
+        (!results.rateLimitResetAt && attempts >= MAX_BACKFILL_PAGE_ATTEMPTS);
+      if (pageFailed && advance) {
+        console.warn(
+          `Giving up on PR backfill page ${page} of ${repository.fullName} after ${attempts} attempts`
+        );
+      }
+
+      // The last page is revisited next time to pick up newer pull requests
+      const completed = advance && isLastPage;
+      repository.prBackfill = {
+        nextPage: advance && !isLastPage ? page + 1 : page,
+        pageAttempts: advance ? 0 : attempts,
+        lastRunAt: new Date(),
+        completedAt: completed ? new Date() : null,
+      };
+      await repository.save();
+
+      if (onProgress) {
+        await onProgress(
+          completed ? 100 : (run / pagesPerRun) * 100,
+          `Processed ${results.processed} pull requests`
+        );
+      }
+
+      if (completed) {
+        results.completed = true;
+        break;
+      }
+      if (results.rateLimitResetAt || !advance) {
+        break;
+      }
+      page++;
+    }
+
+    results.nextPage = repository.prBackfill.nextPage;
+    return results;
+  }
+
+  /**
+   * Sync repository data with GitHub and award crossed star/fork milestones
+   * @param {String|ObjectId} repoId - Repository ID
+   * @param {String} accessToken - GitHub access token
+   * @returns {Object} - Sync results
+   */
+  static async syncRepository(repoId, accessToken) {
+    const repository = await Repository.findById(repoId);
+    if (!repository) {
+      throw new Error("Repository not found");
+    }
+
+    // Fetch latest data from GitHub
+    const response = await axios.get(
+      `https://api.github.com/repositories/${repository.githubId}`,
+      {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          Accept: "application/vnd.github.v3+json",
+        },
+      }
+    );
+
+    // Update repository with latest data
+    const previousCounts = {
+      stars: repository.stargazersCount,
+      forks: repository.forksCount,
+    };
+    await repository.syncData(response.data);
+
+    // Award any star/fork milestones crossed since the last sync
+    const milestones = await this.awardRepositoryMilestones(
+      repoId,
+      previousCounts,
+      { triggeringEvent: "repository_sync" }
+    );
+
+    return {
+      success: true,
+      repository: {
+        id: repository._id,
+        fullName: repository.fullName,
+        stargazersCount: repository.stargazersCount,
+        forksCount: repository.forksCount,
+        lastSyncAt: repository.lastSyncAt,
+      },
+      milestones,
+    };
+  }
+
   /**
    * Fetch PR statistics from GitHub API for a user in a repository
    * @param {Object} repository - Repository document
@@ -385,6 +681,268 @@ class BadgeService {
     }
   }
 
+  /**
+   * Backfill issues for a repository from the GitHub API
+   * Issues closed as completed are looked up individually, as only the
+   * single-issue endpoint reports who closed them
+   * @param {String|ObjectId} repoId - Repository ID
+   * @param {String} accessToken - GitHub access token
+   * @param {Object} options - maxPages limits how many pages are fetched,
+   *   onProgress(percent, message) is called after each page
+   * @returns {Object} - Backfill results, completed is false if it stopped
+   *   at maxPages with older issues left
+   */
+  static async backfillIssues(repoId, accessToken, options = {}) {
+    const { maxPages = 10, onProgress = null } = options;
+
+    const repository = await Repository.findById(repoId);
+    if (!repository) {
+      throw new Error("Repository not found");
+    }
+
+    const headers = {
+      Authorization: `token ${accessToken}`,
+      Accept: "application/vnd.github.v3+json",
+    };
+    const results = {
+      success: true,
+      repositoryName: repository.fullName,
+      processed: 0,
+      skipped: 0,
+      pages: 0,
+      completed: false,
+      errors: [],
+    };
+
+    let page = 1;
+    let hasMore = true;
+
+    while (hasMore && page <= maxPages) {
+      const response = await axios.get(
+        `https://api.github.com/repos/${repository.fullName}/issues`,
+        {
+          headers,
+          params: {
+            state: "all",
+            per_page: 100,
+            page,
+          },
+        }
+      );
+
+      // The issues API also returns pull requests
+      const issues = response.data.filter((issue) => !issue.pull_request);
+
+      // Skip issues whose stored copy is already up to date
+      const stored = await Issue.find({
+        repository: repository._id,
+        githubIssueId: { $in: issues.map((issue) => issue.id) },
+      }).select("githubIssueId githubUpdatedAt closedBy");
+      const storedById = new Map(
+        stored.map((issue) => [issue.githubIssueId, issue])
+      );
+
+      for (const issueData of issues) {
+        const isCompleted =
+          issueData.state === "closed" &&
+          issueData.state_reason === "completed";
+        const storedIssue = storedById.get(issueData.id);
+        if (
+          storedIssue?.githubUpdatedAt?.getTime() ===
+            new Date(issueData.updated_at).getTime() &&
+          (!isCompleted || storedIssue.closedBy)
+        ) {
+          results.skipped++;
+          continue;
+        }
+
+        try {
+          const author = await User.findOrCreateFromGitHub(issueData.user);
+          if (!author) {
+            continue;
+          }
+
+          // The list API doesn't report who closed an issue
+          let closer = null;
+          if (isCompleted) {
+            const detailResponse = await axios.get(issueData.url, { headers });
+            if (detailResponse.data.closed_by) {
+              closer = await User.findOrCreateFromGitHub(
+                detailResponse.data.closed_by
+              );
+            }
+          }
+
+          await Issue.createOrUpdateFromWebhook(
+            issueData,
+            repository,
+            author,
+            closer
+          );
+          results.processed++;
+        } catch (error) {
+          results.errors.push({
+            issueNumber: issueData.number,
+            error: error.message,
+          });
+        }
+      }
+
+      results.pages = page;
+      hasMore = response.data.length === 100;
+
+      if (onProgress) {
+        await onProgress(
+          hasMore ? (page / maxPages) * 100 : 100,
+          `Processed ${results.processed} issues`
+        );
+      }
+      page++;
+    }
+
+    // Issues are listed newest first, so the oldest are the ones left out
+    results.completed = !hasMore;
+    if (hasMore) {
+      results.message = `Stopped after ${maxPages} pages, older issues were not backfilled`;
+      console.warn(
+        `Issue backfill of ${repository.fullName}: ${results.message}`
+      );
+    }
+
+    return results;
+  }
+
+  /**
+   * Enrol GitHub contributors and collaborators of a repository as members,
+   * creating placeholder users for people who have not signed up
+   * Collaborators with admin or maintain access join as maintainers, everyone
+   * else as a contributor. Only missing memberships are created, existing
+   * ones (including deactivated ones) keep the role and permissions owners
+   * gave them
+   * @param {String|ObjectId} repoId - Repository ID
+   * @param {String} accessToken - GitHub access token
+   * @param {Object} options - maxPages limits how many pages of each list are
+   *   fetched, onProgress(percent, message) is called after each person
+   * @returns {Object} - Sync results
+   */
+  static async syncContributors(repoId, accessToken, options = {}) {
+    const { maxPages = 5, onProgress = null } = options;
+
+    const repository = await Repository.findById(repoId);
+    if (!repository) {
+      throw new Error("Repository not found");
+    }
+
+    const headers = {
+      Authorization: `token ${accessToken}`,
+      Accept: "application/vnd.github.v3+json",
+    };
+    const results = {
+      success: true,
+      repositoryName: repository.fullName,
+      discovered: 0,
+      enrolled: 0,
+      collaboratorsSynced: true,
+      errors: [],
+    };
+
+    const fetchAll = async (path, params = {}) => {
+      const items = [];
+      for (let page = 1; page <= maxPages; page++) {
+        const response = await axios.get(
+          `https://api.github.com/repos/${repository.fullName}/${path}`,
+          { headers, params: { ...params, per_page: 100, page } }
+        );
+        items.push(...response.data);
+        if (response.data.length < 100) {
+          break;
+        }
+      }
+      return items;
+    };
+
+    // GitHub account ID -> { account, role }
+    const people = new Map();
+
+    const contributors = await fetchAll("contributors");
+    for (const contributor of contributors) {
+      if (contributor.type === "User") {
+        people.set(contributor.id, {
+          account: contributor,
+          role: "contributor",
+        });
+      }
+    }
+
+    // Listing collaborators needs push access, which contributors' tokens
+    // often lack
+    try {
+      const collaborators = await fetchAll("collaborators", {
+        affiliation: "all",
+      });
+      for (const collaborator of collaborators) {
+        if (collaborator.type !== "User") {
+          continue;
+        }
+        const canMaintain =
+          collaborator.permissions?.admin || collaborator.permissions?.maintain;
+        people.set(collaborator.id, {
+          account: collaborator,
+          role: canMaintain ? "maintainer" : "contributor",
+        });
+      }
+    } catch (error) {
+      if (![403, 404].includes(error.response?.status)) {
+        throw error;
+      }
+      results.collaboratorsSynced = false;
+    }
+
+    results.discovered = people.size;
+
+    let index = 0;
+    for (const { account, role } of people.values()) {
+      index++;
+      try {
+        const user = await User.findOrCreateFromGitHub(account);
+        if (!user) {
+          throw new Error(`Could not resolve GitHub user ${account.login}`);
+        }
+
+        const isMember = await UserRepository.exists({
+          user: user._id,
+          repository: repository._id,
+        });
+
+        if (!isMember) {
+          await UserRepository.addUserToRepository(
+            user._id,
+            repository._id,
+            role
+          );
+          results.enrolled++;
+        }
+      } catch (error) {
+        results.errors.push({
+          githubUsername: account.login,
+          error: error.message,
+        });
+      }
+
+      if (onProgress) {
+        await onProgress(
+          (index / people.size) * 100,
+          `Checked ${index} of ${people.size} contributors`
+        );
+      }
+    }
+
+    repository.contributorsSyncedAt = new Date();
+    await repository.save();
+
+    return results;
+  }
+
   /**
    * Get contributor statistics for a repository (now using GitHub API)
    * @param {String|ObjectId} repoId - Repository ID
@@ -407,16 +965,29 @@ class BadgeService {
       // If specific user requested, get their details and fetch from GitHub
       if (specificUserId) {
         const user = await User.findById(specificUserId);
-        if (!user || !user.githubUsername || !user.githubToken) {
-          console.log("❌ User not found or missing GitHub credentials");
+        if (!user) {
+          console.log("❌ User not found");
           return [];
         }
 
+        // Prefer the GitHub App installation token, it works for users who
+        // never signed in and doesn't expire with the user's OAuth token
+        const accessToken =
+          (await GitHubAppService.getRepositoryToken(repository)) ||
+          user.getGitHubToken();
+
+        // Users without GitHub credentials (e.g. placeholders created from
+        // webhooks) are evaluated from stored pull requests instead
+        if (!user.githubUsername || !accessToken) {
+          console.log("📊 No GitHub credentials, using stored pull requests");
+          return await this.getStoredUserStats(repoId, user);
+        }
+
         console.log("� Fetching live data from GitHub API...");
         const githubStats = await this.fetchGitHubPRStats(
           repository,
           user.githubUsername,
-          user.githubToken
+          accessToken
         );
 
         // Convert GitHub stats to our expected format
@@ -444,7 +1015,7 @@ class BadgeService {
           totalCommits: githubStats.totalCommits,
         });
 
-        return contributorStats;
+        return await this.attachActivityStats(repoId, contributorStats);
       }
 
       // If no specific user, fall back to database stats for all contributors
@@ -452,89 +1023,332 @@ class BadgeService {
         "📊 Falling back to database aggregation for all contributors"
       );
 
-      const contributorStats = await PullRequest.aggregate([
-        { $match: { repository: repoId } },
-        {
-          $group: {
-            _id: "$user",
-            totalPRs: { $sum: 1 },
-            mergedPRs: {
-              $sum: { $cond: [{ $eq: ["$merged", true] }, 1, 0] },
-            },
-            totalCommits: { $sum: "$commitCount" },
-            totalAdditions: { $sum: "$additions" },
-            totalDeletions: { $sum: "$deletions" },
-            totalFilesChanged: { $sum: "$changedFiles" },
-            firstContribution: { $min: "$githubCreatedAt" },
-            lastContribution: { $max: "$githubCreatedAt" },
-          },
-        },
-        {
-          $lookup: {
-            from: "users",
-            localField: "_id",
-            foreignField: "_id",
-            as: "userDetails",
+      const contributorStats = await this.getStoredContributorStats(repoId);
+      return await this.attachActivityStats(repoId, contributorStats, {
+        includeMissing: true,
+      });
+    } catch (error) {
+      console.error("Error in getContributorStats:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Aggregate contributor statistics from stored pull requests
+   * @param {String|ObjectId} repoId - Repository ID
+   * @param {String|ObjectId} userId - Optional user ID to restrict to
+   * @returns {Array} - Array of contributor statistics
+   */
+  static async getStoredContributorStats(repoId, userId = null) {
+    const matchStage = { repository: new mongoose.Types.ObjectId(repoId) };
+    if (userId) {
+      matchStage.user = new mongoose.Types.ObjectId(userId);
+    }
+
+    return PullRequest.aggregate([
+      { $match: matchStage },
+      {
+        $group: {
+          _id: "$user",
+          totalPRs: { $sum: 1 },
+          mergedPRs: {
+            $sum: { $cond: [{ $eq: ["$merged", true] }, 1, 0] },
           },
+          totalCommits: { $sum: "$commitCount" },
+          totalAdditions: { $sum: "$additions" },
+          totalDeletions: { $sum: "$deletions" },
+          totalFilesChanged: { $sum: "$changedFiles" },
+          firstContribution: { $min: "$githubCreatedAt" },
+          lastContribution: { $max: "$githubCreatedAt" },
         },
-        {
-          $unwind: "$userDetails",
+      },
+      {
+        $lookup: {
+          from: "users",
+          localField: "_id",
+          foreignField: "_id",
+          as: "userDetails",
         },
-        {
-          $project: {
-            userId: "$_id",
-            userEmail: "$userDetails.email",
-            githubUsername: "$userDetails.githubUsername",
-            totalPRs: 1,
-            mergedPRs: 1,
-            totalCommits: 1,
-            totalAdditions: 1,
-            totalDeletions: 1,
-            totalFilesChanged: 1,
-            firstContribution: 1,
-            lastContribution: 1,
-            totalLinesChanged: { $add: ["$totalAdditions", "$totalDeletions"] },
-          },
+      },
+      {
+        $unwind: "$userDetails",
+      },
+      {
+        $project: {
+          userId: "$_id",
+          userEmail: "$userDetails.email",
+          githubUsername: "$userDetails.githubUsername",
+          totalPRs: 1,
+          mergedPRs: 1,
+          totalCommits: 1,
+          totalAdditions: 1,
+          totalDeletions: 1,
+          totalFilesChanged: 1,
+          firstContribution: 1,
+          lastContribution: 1,
+          totalLinesChanged: { $add: ["$totalAdditions", "$totalDeletions"] },
         },
-      ]);
+      },
+    ]);
+  }
 
-      return contributorStats;
-    } catch (error) {
-      console.error("Error in getContributorStats:", error);
-      return [];
+  /**
+   * Get a single user's statistics from stored activity, without calling
+   * GitHub. Errors are not caught so callers can retry
+   * @param {String|ObjectId} repoId - Repository ID
+   * @param {Object} user - User document
+   * @returns {Array} - Array with the user's contributor statistics
+   */
+  static async getStoredUserStats(repoId, user) {
+    const storedStats = await this.getStoredContributorStats(repoId, user._id);
+    return this.attachActivityStats(
+      repoId,
+      storedStats.length > 0 ? storedStats : [this.emptyStats(user)]
+    );
+  }
+
+  /**
+   * Build a zeroed statistics entry for a user with no stored pull requests
+   * @param {Object} user - User document
+   * @returns {Object} - Contributor statistics
+   */
+  static emptyStats(user) {
+    return {
+      userId: user._id,
+      userEmail: user.email,
+      githubUsername: user.githubUsername,
+      totalPRs: 0,
+      mergedPRs: 0,
+      totalCommits: 0,
+      totalAdditions: 0,
+      totalDeletions: 0,
+      totalFilesChanged: 0,
+      firstContribution: null,
+      lastContribution: null,
+      totalLinesChanged: 0,
+    };
+  }
+
+  /**
+   * Add non-PR activity (issues, reviews and releases), repository milestone counts
+   * and time-windowed badge values to contributor statistics
+   * @param {String|ObjectId} repoId - Repository ID
+   * @param {Array} contributors - Contributor statistics from PR data
+   * @param {Object} options - includeMissing adds contributors with no PRs
+   * @returns {Array} - Contributor statistics with activity counts
+   */
+  static async attachActivityStats(repoId, contributors, options = {}) {
+    const { includeMissing = false } = options;
+    const userIds = includeMissing ? null : contributors.map((c) => c.userId);
+
+    const [
+      issueCounts,
+      reviewCounts,
+      releaseCounts,
+      repository,
+      windowedBadges,
+    ] = await Promise.all([
+      Issue.countContributorIssues(repoId, userIds),
+      Review.countReviewerReviews(repoId, userIds),
+      Release.countAuthorReleases(repoId, userIds),
+      Repository.findById(repoId).select("stargazersCount forksCount"),
+      Badge.find({ repository: repoId, active: true, window: { $ne: null } }),
+    ]);
+    const issuesByUser = new Map(
+      issueCounts.map((row) => [row._id.toString(), row.totalIssues])
+    );
+    const reviewsByUser = new Map(
+      reviewCounts.map((row) => [row._id.toString(), row.totalReviews])
+    );
+    const releasesByUser = new Map(
+      releaseCounts.map((row) => [row._id.toString(), row.totalReleases])
+    );
+
+    const withActivity = (stats) => {
+      const key = stats.userId.toString();
+      return {
+        ...stats,
+        totalIssues: issuesByUser.get(key) || 0,
+        totalReviews: reviewsByUser.get(key) || 0,
+        totalReleases: releasesByUser.get(key) || 0,
+        repositoryStars: repository?.stargazersCount || 0,
+        repositoryForks: repository?.forksCount || 0,
+      };
+    };
+
+    let results = contributors.map(withActivity);
+
+    if (includeMissing) {
+      // Contributors who only opened issues, reviewed, published releases or
+      // were enrolled as members have no PR stats
+      const memberIds = await UserRepository.distinct("user", {
+        repository: repoId,
+        active: true,
+      });
+      const knownIds = new Set(results.map((c) => c.userId.toString()));
+      const missingIds = [
+        ...new Set([
+          ...issuesByUser.keys(),
+          ...reviewsByUser.keys(),
+          ...releasesByUser.keys(),
+          ...memberIds.map((id) => id.toString()),
+        ]),
+      ].filter((id) => !knownIds.has(id));
+
+      if (missingIds.length > 0) {
+        const users = await User.find({ _id: { $in: missingIds } });
+        for (const user of users) {
+          results.push(withActivity(this.emptyStats(user)));
+        }
+      }
     }
+
+    if (windowedBadges.length > 0) {
+      const windowedValues = await this.getWindowedValues(
+        repoId,
+        results.map((c) => c.userId),
+        windowedBadges
+      );
+      results = results.map((contributor) => ({
+        ...contributor,
+        windowedValues: windowedValues.get(contributor.userId.toString()) || {},
+      }));
+    }
+
+    return results;
   }
 
   /**
-   * Check if a contributor is eligible for a specific badge
-   * @param {Object} contributor - Contributor statistics
+   * Compute time-windowed badge values per contributor from stored PRs
+   * Rolling windows report the best count within any window of the badge's
+   * length, streaks the longest run of consecutive periods with a PR
+   * @param {String|ObjectId} repoId - Repository ID
+   * @param {Array} userIds - Contributor user IDs
+   * @param {Array} badges - Badges with a window definition
+   * @returns {Map} - userId => { [badgeId]: value }
+   */
+  static async getWindowedValues(repoId, userIds, badges) {
+    const pullRequests = await PullRequest.find({
+      repository: repoId,
+      user: { $in: userIds },
+    })
+      .select("user merged mergedAt githubCreatedAt commitCount")
+      .lean();
+
+    const prsByUser = new Map();
+    for (const pr of pullRequests) {
+      const key = pr.user.toString();
+      if (!prsByUser.has(key)) {
+        prsByUser.set(key, []);
+      }
+      prsByUser.get(key).push(pr);
+    }
+
+    const values = new Map();
+    for (const [userId, prs] of prsByUser) {
+      const userValues = {};
+
+      for (const badge of badges) {
+        userValues[badge._id.toString()] =
+          badge.window.type === "streak"
+            ? this.getLongestStreak(prs, badge.window.period)
+            : this.getBestRollingCount(prs, badge);
+      }
+
+      values.set(userId, userValues);
+    }
+
+    return values;
+  }
+
+  /**
+   * Best merged PR (or commit) count within any window of the badge's length
+   * @param {Array} prs - Contributor's pull requests
+   * @param {Object} badge - Badge with a rolling window
+   * @returns {Number} - Best count
+   */
+  static getBestRollingCount(prs, badge) {
+    const windowMs = badge.window.days * DAY_MS;
+    const merged = prs
+      .filter((pr) => pr.merged && pr.mergedAt)
+      .map((pr) => ({
+        time: new Date(pr.mergedAt).getTime(),
+        weight: badge.criteriaType === "commits" ? pr.commitCount || 0 : 1,
+      }))
+      .sort((a, b) => a.time - b.time);
+
+    let best = 0;
+    let total = 0;
+    let start = 0;
+    for (let end = 0; end < merged.length; end++) {
+      total += merged[end].weight;
+      while (merged[end].time - merged[start].time >= windowMs) {
+        total -= merged[start].weight;
+        start++;
+      }
+      best = Math.max(best, total);
+    }
+
+    return best;
+  }
+
+  /**
+   * Longest run of consecutive periods in which a PR was opened
+   * @param {Array} prs - Contributor's pull requests
+   * @param {String} period - day, week or month
+   * @returns {Number} - Longest streak length
+   */
+  static getLongestStreak(prs, period) {
+    const periods = [
+      ...new Set(prs.map((pr) => getPeriodIndex(pr.githubCreatedAt, period))),
+    ].sort((a, b) => a - b);
+
+    let longest = 0;
+    let current = 0;
+    periods.forEach((index, i) => {
+      current = i > 0 && index === periods[i - 1] + 1 ? current + 1 : 1;
+      longest = Math.max(longest, current);
+    });
+
+    return longest;
+  }
+
+  /**
+   * Get the conditions a badge is evaluated against
    * @param {Object} badge - Badge document
-   * @returns {Boolean} - Whether the contributor is eligible
+   * @returns {Array} - Conditions with criteriaType and criteriaValue
    */
-  static async checkBadgeEligibility(contributor, badge) {
-    switch (badge.criteriaType) {
-      case "prs":
-        return contributor.mergedPRs >= badge.criteriaValue;
+  static getBadgeConditions(badge) {
+    if (badge.rules?.conditions?.length) {
+      return badge.rules.conditions;
+    }
+    return [
+      { criteriaType: badge.criteriaType, criteriaValue: badge.criteriaValue },
+    ];
+  }
 
+  /**
+   * Check if a contributor meets a single criteria condition
+   * @param {Object} contributor - Contributor statistics
+   * @param {Object} condition - Condition with criteriaType and criteriaValue
+   * @returns {Boolean} - Whether the condition is met
+   */
+  static checkConditionEligibility(contributor, condition) {
+    switch (condition.criteriaType) {
+      case "prs":
       case "commits":
-        return contributor.totalCommits >= badge.criteriaValue;
-
       case "issues":
-        // This would require an Issue model
-        // For now, return false
-        return false;
-
       case "reviews":
-        // This would require a Review model
-        // For now, return false
-        return false;
+      case "releases":
+        return (
+          this.getCriteriaValue(contributor, condition.criteriaType) >=
+          condition.criteriaValue
+        );
 
       case "stars":
-        // This would be repository-level, not contributor-level
-        return false;
-
       case "forks":
-        // This would be repository-level, not contributor-level
+        // Repository milestones are awarded to all members when crossed,
+        // see awardRepositoryMilestones
         return false;
 
       default:
@@ -543,22 +1357,108 @@ class BadgeService {
   }
 
   /**
-   * Get the actual value that qualified the user for the badge
+   * Check if a contributor is eligible for a specific badge
    * @param {Object} contributor - Contributor statistics
    * @param {Object} badge - Badge document
-   * @returns {Number} - The actual value
+   * @returns {Boolean} - Whether the contributor is eligible
    */
-  static getActualValue(contributor, badge) {
-    switch (badge.criteriaType) {
+  static async checkBadgeEligibility(contributor, badge) {
+    if (badge.window) {
+      return this.getActualValue(contributor, badge) >= badge.criteriaValue;
+    }
+
+    const results = this.getBadgeConditions(badge).map((condition) =>
+      this.checkConditionEligibility(contributor, condition)
+    );
+
+    return badge.rules?.operator === "or"
+      ? results.some(Boolean)
+      : results.every(Boolean);
+  }
+
+  /**
+   * Get a contributor's current value for a criteria type
+   * @param {Object} contributor - Contributor statistics
+   * @param {String} criteriaType - Criteria type
+   * @returns {Number} - The current value
+   */
+  static getCriteriaValue(contributor, criteriaType) {
+    switch (criteriaType) {
       case "prs":
-        return contributor.mergedPRs;
+        return contributor.mergedPRs || 0;
       case "commits":
-        return contributor.totalCommits;
+        return contributor.totalCommits || 0;
+      case "issues":
+        return contributor.totalIssues || 0;
+      case "reviews":
+        return contributor.totalReviews || 0;
+      case "releases":
+        return contributor.totalReleases || 0;
+      case "stars":
+        return contributor.repositoryStars || 0;
+      case "forks":
+        return contributor.repositoryForks || 0;
       default:
         return 0;
     }
   }
 
+  /**
+   * Get the actual value that qualified the user for the badge
+   * For composite badges this is the number of conditions met, for windowed
+   * badges the best value within the window
+   * @param {Object} contributor - Contributor statistics
+   * @param {Object} badge - Badge document
+   * @returns {Number} - The actual value
+   */
+  static getActualValue(contributor, badge) {
+    if (badge.window) {
+      return contributor.windowedValues?.[badge._id.toString()] || 0;
+    }
+    if (badge.rules?.conditions?.length) {
+      return badge.rules.conditions.filter((condition) =>
+        this.checkConditionEligibility(contributor, condition)
+      ).length;
+    }
+    return this.getCriteriaValue(contributor, badge.criteriaType);
+  }
+
+  /**
+   * Get a contributor's progress towards a badge, per condition
+   * @param {Object} contributor - Contributor statistics
+   * @param {Object} badge - Badge document
+   * @returns {Object} - Operator, per-condition progress and overall progress
+   */
+  static getBadgeProgress(contributor, badge) {
+    const operator = badge.rules?.operator || "and";
+
+    const isComposite = !!badge.rules?.conditions?.length;
+
+    const conditions = this.getBadgeConditions(badge).map((condition) => {
+      const currentValue = isComposite
+        ? this.getCriteriaValue(contributor, condition.criteriaType)
+        : this.getActualValue(contributor, badge);
+      return {
+        criteriaType: condition.criteriaType,
+        requiredValue: condition.criteriaValue,
+        currentValue,
+        met: currentValue >= condition.criteriaValue,
+        progress: Math.min((currentValue / condition.criteriaValue) * 100, 100),
+      };
+    });
+
+    // "or" badges are as close as their closest condition, "and" badges
+    // average across all conditions
+    const progressValues = conditions.map((condition) => condition.progress);
+    const progress =
+      operator === "or"
+        ? Math.max(...progressValues)
+        : progressValues.reduce((sum, value) => sum + value, 0) /
+          progressValues.length;
+
+    return { operator, conditions, progress };
+  }
+
   /**
    * Award badge to a specific user for a specific event
    * @param {Object} params - Award parameters
@@ -570,19 +1470,22 @@ class BadgeService {
     eventType,
     eventData = {},
     triggeringEvent = null,
+    prNumber = null,
+    deliveryId = null,
+    awardedBy = "system",
   }) {
     try {
-      // Get user stats for the repository
-      const userStats = await this.getContributorStats(repositoryId, userId);
-
-      if (userStats.length === 0) {
+      const user = await User.findById(userId);
+      if (!user) {
         return {
           success: false,
           message: "No contributions found for user in this repository",
         };
       }
 
-      const contributor = userStats[0];
+      // Webhook handlers have already stored the triggering activity, so
+      // stored stats are current and spare a round of GitHub API calls
+      const [contributor] = await this.getStoredUserStats(repositoryId, user);
 
       // Get all active badges for the repository
       const badges = await Badge.find({
@@ -618,10 +1521,15 @@ class BadgeService {
             repositoryId,
             actualValue: this.getActualValue(contributor, badge),
             triggeringEvent,
+            awardedBy,
             metadata: {
-              eventType,
-              eventData,
-              realTimeAwarding: true,
+              prNumber,
+              deliveryId,
+              additionalData: {
+                eventType,
+                eventData,
+                realTimeAwarding: true,
+              },
             },
           });
 
@@ -642,6 +1550,176 @@ class BadgeService {
     }
   }
 
+  /**
+   * Award star/fork milestone badges crossed since the previous counts to the
+   * repository owner and all active members at the time of crossing
+   * @param {ObjectId} repoId - Repository ID
+   * @param {Object} previousCounts - Counts before the change ({ stars, forks })
+   * @param {Object} options - triggeringEvent, deliveryId and awardedBy
+   * @returns {Object} - Award results
+   */
+  static async awardRepositoryMilestones(
+    repoId,
+    previousCounts = {},
+    options = {}
+  ) {
+    try {
+      const repository = await Repository.findById(repoId);
+      if (!repository) {
+        throw new Error("Repository not found");
+      }
+
+      const currentCounts = {
+        stars: repository.stargazersCount,
+        forks: repository.forksCount,
+      };
+
+      const milestoneBadges = await Badge.find({
+        repository: repoId,
+        active: true,
+        criteriaType: { $in: ["stars", "forks"] },
+      });
+
+      // Only badges whose threshold was crossed by this change. A count
+      // missing from previousCounts didn't change, so crossed nothing
+      const crossedBadges = milestoneBadges.filter((badge) => {
+        const current = currentCounts[badge.criteriaType];
+        const previous = previousCounts[badge.criteriaType] ?? current;
+        return previous < badge.criteriaValue && current >= badge.criteriaValue;
+      });
+
+      const results = {
+        success: true,
+        milestones: crossedBadges.map((badge) => badge.name),
+        awardsGiven: 0,
+        newAwards: [],
+      };
+
+      for (const badge of crossedBadges) {
+        const newAwards = await this.awardMilestoneToMembers(
+          repository,
+          badge,
+          {
+            ...options,
+            previousValue: previousCounts[badge.criteriaType],
+          }
+        );
+        results.awardsGiven += newAwards.length;
+        results.newAwards.push(...newAwards);
+      }
+
+      return results;
+    } catch (error) {
+      console.error("Error in awardRepositoryMilestones:", error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Award a newly created star/fork milestone badge to the current members
+   * if the repository has already passed its threshold, as it can no longer
+   * be crossed. Later members don't receive it
+   * @param {Object} badge - Badge document
+   * @param {Object} options - awardedBy
+   * @returns {Array} - New awards
+   */
+  static async awardReachedMilestone(badge, options = {}) {
+    if (!badge.active || !["stars", "forks"].includes(badge.criteriaType)) {
+      return [];
+    }
+
+    const repository = await Repository.findById(badge.repository);
+    if (!repository) {
+      return [];
+    }
+
+    const current =
+      badge.criteriaType === "stars"
+        ? repository.stargazersCount
+        : repository.forksCount;
+    if (current < badge.criteriaValue) {
+      return [];
+    }
+
+    return this.awardMilestoneToMembers(repository, badge, {
+      triggeringEvent: "badge_created",
+      ...options,
+    });
+  }
+
+  /**
+   * Award a milestone badge to the repository owner and all active members
+   * who don't hold it yet
+   * @param {Object} repository - Repository document
+   * @param {Object} badge - Milestone badge document
+   * @param {Object} options - triggeringEvent, deliveryId, awardedBy and
+   * previousValue
+   * @returns {Array} - New awards
+   */
+  static async awardMilestoneToMembers(repository, badge, options = {}) {
+    const {
+      triggeringEvent = "repository_milestone",
+      deliveryId = null,
+      awardedBy = "system",
+      previousValue = null,
+    } = options;
+
+    const currentValue =
+      badge.criteriaType === "stars"
+        ? repository.stargazersCount
+        : repository.forksCount;
+
+    const members = await UserRepository.find({
+      repository: repository._id,
+      active: true,
+    }).select("user");
+    const recipientIds = [
+      ...new Set(
+        [repository.owner, ...members.map((m) => m.user)].map((id) =>
+          id.toString()
+        )
+      ),
+    ];
+
+    // Skip members who already hold the badge
+    const holders = new Set(
+      (
+        await UserBadge.distinct("user", {
+          badge: badge._id,
+          user: { $in: recipientIds },
+        })
+      ).map((id) => id.toString())
+    );
+
+    const newAwards = [];
+    for (const userId of recipientIds.filter((id) => !holders.has(id))) {
+      const awardResult = await UserBadge.awardBadge({
+        userId,
+        badgeId: badge._id,
+        repositoryId: repository._id,
+        actualValue: currentValue,
+        triggeringEvent,
+        awardedBy,
+        metadata: {
+          deliveryId,
+          additionalData: {
+            milestone: badge.criteriaType,
+            previousValue,
+          },
+        },
+      });
+
+      if (awardResult.success) {
+        newAwards.push(awardResult.award);
+      }
+    }
+
+    return newAwards;
+  }
+
   /**
    * Get badge statistics for a repository
    * @param {ObjectId} repoId - Repository ID
@@ -716,19 +1794,17 @@ class BadgeService {
         const earned = earnedBadges.find((ub) =>
           ub.badge._id.equals(badge._id)
         );
-        const currentValue = this.getActualValue(contributor, badge);
-        const progress = Math.min(
-          (currentValue / badge.criteriaValue) * 100,
-          100
-        );
+        const badgeProgress = this.getBadgeProgress(contributor, badge);
 
         return {
           badge,
           earned: !!earned,
           earnedAt: earned?.awardedAt,
-          currentValue,
+          currentValue: this.getActualValue(contributor, badge),
           requiredValue: badge.criteriaValue,
-          progress,
+          operator: badgeProgress.operator,
+          conditions: badgeProgress.conditions,
+          progress: badgeProgress.progress,
         };
       });
 
@@ -0,0 +1,162 @@
+import User from "../models/user.model.js";
+import Repository from "../models/repository.model.js";
+import BadgeService from "./badgeService.js";
+import WebhookRegistry from "./webhookRegistry.js";
+
+/**
+ * Award event-triggered badges to a GitHub user in a tracked repository
+ * @param {Object} githubRepository - Repository from the webhook payload
+ * @param {Object} githubUser - GitHub user to credit
+ * @param {Object} options - Event details passed to awardBadgeForEvent
+ * @returns {Object|null} - Award result, or null if nothing to award
+ */
+const awardToGitHubUser = async (githubRepository, githubUser, options) => {
+  const trackedRepository = await Repository.findByGitHubId(
+    githubRepository.id
+  );
+  if (!trackedRepository) {
+    return null;
+  }
+
+  const user = await User.findOrCreateFromGitHub(githubUser);
+  if (!user) {
+    console.warn(`Could not resolve GitHub user: ${githubUser.login}`);
+    return null;
+  }
+
+  const awardResult = await BadgeService.awardBadgeForEvent({
+    userId: user._id,
+    repositoryId: trackedRepository._id,
+    awardedBy: "webhook",
+    ...options,
+  });
+
+  // A failure (as opposed to nothing to award) must fail the handler, so
+  // the event is retried rather than marked processed
+  if (!awardResult.success && awardResult.error) {
+    throw new Error(`Badge awarding failed: ${awardResult.error}`);
+  }
+
+  if (awardResult.success) {
+    console.log(
+      `Awarded ${awardResult.awardsGiven} badge(s) to ${user.githubUsername}`
+    );
+  } else {
+    console.warn("Badge awarding skipped:", awardResult.message);
+  }
+
+  return awardResult;
+};
+
+/**
+ * Award badges to the author of a merged pull request
+ */
+const handlePullRequestMerged = async (payload, { action, deliveryId }) => {
+  const { pull_request, repository } = payload;
+  if (!pull_request.merged) {
+    return null;
+  }
+
+  return awardToGitHubUser(repository, pull_request.user, {
+    eventType: "pull_request",
+    eventData: { action, title: pull_request.title },
+    triggeringEvent: "pr_merged",
+    prNumber: pull_request.number,
+    deliveryId,
+  });
+};
+
+/**
+ * Award issue badges, opening credits the author, completing credits the closer
+ */
+const handleIssueActivity = async (payload, { action, deliveryId }) => {
+  const { issue, repository, sender } = payload;
+
+  let recipient = null;
+  if (action === "opened") {
+    recipient = issue.user;
+  } else if (action === "closed" && issue.state_reason === "completed") {
+    recipient = sender;
+  }
+
+  if (!recipient) {
+    return null;
+  }
+
+  return awardToGitHubUser(repository, recipient, {
+    eventType: "issues",
+    eventData: { action, issueNumber: issue.number },
+    triggeringEvent: `issue_${action}`,
+    deliveryId,
+  });
+};
+
+/**
+ * Award review badges for approvals and change requests
+ */
+const handleReviewSubmitted = async (payload, { action, deliveryId }) => {
+  const { review, pull_request, repository } = payload;
+  const state = review.state?.toLowerCase();
+
+  if (!["approved", "changes_requested"].includes(state)) {
+    return null;
+  }
+
+  return awardToGitHubUser(repository, review.user, {
+    eventType: "pull_request_review",
+    eventData: { action, state },
+    triggeringEvent: "review_submitted",
+    prNumber: pull_request.number,
+    deliveryId,
+  });
+};
+
+/**
+ * Award release badges to the author of a published release
+ */
+const handleReleasePublished = async (payload, { action, deliveryId }) => {
+  const { release, repository } = payload;
+  if (release.draft) {
+    return null;
+  }
+
+  return awardToGitHubUser(repository, release.author, {
+    eventType: "release",
+    eventData: { action, tagName: release.tag_name },
+    triggeringEvent: "release_published",
+    deliveryId,
+  });
+};
+
+/**
+ * Register the handlers that award badges as activity happens
+ */
+const registerBadgeWebhookHandlers = () => {
+  WebhookRegistry.on(
+    "pull_request.closed",
+    "award-merged-pr-badges",
+    handlePullRequestMerged
+  );
+  WebhookRegistry.on(
+    "issues.opened",
+    "award-issue-badges",
+    handleIssueActivity
+  );
+  WebhookRegistry.on(
+    "issues.closed",
+    "award-issue-badges",
+    handleIssueActivity
+  );
+  WebhookRegistry.on(
+    "pull_request_review.submitted",
+    "award-review-badges",
+    handleReviewSubmitted
+  );
+  WebhookRegistry.on(
+    "release.published",
+    "award-release-badges",
+    handleReleasePublished
+  );
+};
+
+export default registerBadgeWebhookHandlers;
@@ -0,0 +1,104 @@
+import axios from "axios";
+import jwt from "jsonwebtoken";
+import Installation from "../models/installation.model.js";
+
+// Refresh installation tokens this long before GitHub expires them
+const TOKEN_EXPIRY_MARGIN_MS = 5 * 60 * 1000;
+
+class GitHubAppService {
+  static tokenCache = new Map();
+
+  /**
+   * Whether GitHub App credentials are configured
+   * @returns {Boolean}
+   */
+  static isConfigured() {
+    return !!(process.env.GITHUB_APP_ID && process.env.GITHUB_APP_PRIVATE_KEY);
+  }
+
+  /**
+   * Create a short-lived JWT authenticating as the GitHub App
+   * @returns {String} - Signed RS256 JWT
+   */
+  static createAppJwt() {
+    // Keys in .env usually have their newlines escaped
+    const privateKey = process.env.GITHUB_APP_PRIVATE_KEY.replace(/\\n/g, "\n");
+    const now = Math.floor(Date.now() / 1000);
+
+    // Backdate iat to allow for clock drift, GitHub caps exp at 10 minutes
+    return jwt.sign(
+      { iat: now - 60, exp: now + 9 * 60, iss: process.env.GITHUB_APP_ID },
+      privateKey,
+      { algorithm: "RS256" }
+    );
+  }
+
+  /**
+   * Get an access token for an installation, minting a new one when the
+   * cached token is close to expiry
+   * @param {Number} installationId - GitHub App installation ID
+   * @returns {String} - Installation access token
+   */
+  static async getInstallationToken(installationId) {
+    const cached = this.tokenCache.get(installationId);
+    if (cached && cached.expiresAt - TOKEN_EXPIRY_MARGIN_MS > Date.now()) {
+      return cached.token;
+    }
+
+    const response = await axios.post(
+      `https://api.github.com/app/installations/${installationId}/access_tokens`,
+      {},
+      {
+        headers: {
+          Authorization: `Bearer ${this.createAppJwt()}`,
+          Accept: "application/vnd.github.v3+json",
+        },
+      }
+    );
+
+    this.tokenCache.set(installationId, {
+      token: response.data.token,
+      expiresAt: new Date(response.data.expires_at).getTime(),
+    });
+
+    return response.data.token;
+  }
+
+  /**
+   * Forget the cached token of an installation
+   * @param {Number} installationId - GitHub App installation ID
+   */
+  static clearInstallationToken(installationId) {
+    this.tokenCache.delete(installationId);
+  }
+
+  /**
+   * Get an installation token for a repository the app is installed on
+   * @param {Object} repository - Repository document
+   * @returns {String|null} - Installation token, or null to fall back to OAuth
+   */
+  static async getRepositoryToken(repository) {
+    if (!this.isConfigured()) {
+      return null;
+    }
+
+    try {
+      const installation = await Installation.findForRepository(
+        repository.githubId
+      );
+      if (!installation) {
+        return null;
+      }
+
+      return await this.getInstallationToken(installation.installationId);
+    } catch (error) {
+      console.error(
+        `Error getting installation token for ${repository.fullName}:`,
+        error.response?.data || error.message
+      );
+      return null;
+    }
+  }
+}
+
+export default GitHubAppService;
@@ -0,0 +1,130 @@
+import JobQueue from "./jobQueue.js";
+import BadgeService from "./badgeService.js";
+import User from "../models/user.model.js";
+import Job from "../models/job.model.js";
+import Repository from "../models/repository.model.js";
+import GitHubAppService from "./githubAppService.js";
+
+/**
+ * Load a user's GitHub access token for a job
+ * @param {String} userId - User ID
+ * @returns {String} - GitHub access token
+ */
+const getAccessToken = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user || !user.githubToken) {
+    throw new Error("GitHub access token not found");
+  }
+  return user.getGitHubToken();
+};
+
+/**
+ * Load the token to call GitHub with for a repository, preferring the
+ * GitHub App installation token over the user's OAuth token
+ * @param {String} repositoryId - Repository ID
+ * @param {String} userId - User ID
+ * @returns {String} - GitHub access token
+ */
+const getRepositoryAccessToken = async (repositoryId, userId) => {
+  const repository = await Repository.findById(repositoryId);
+  if (!repository) {
+    throw new Error("Repository not found");
+  }
+
+  const installationToken =
+    await GitHubAppService.getRepositoryToken(repository);
+  return installationToken || getAccessToken(userId);
+};
+
+/**
+ * Register handlers for all background job types
+ */
+const registerJobHandlers = () => {
+  JobQueue.register("award_badges", async (payload, job) => {
+    const result = await BadgeService.awardBadgesForRepo(payload.repositoryId, {
+      forceRecheck: payload.forceRecheck,
+      onProgress: (percent, message) => job.updateProgress(percent, message),
+    });
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return result;
+  });
+
+  JobQueue.register("sync_repository", async (payload, job) => {
+    const accessToken = await getRepositoryAccessToken(
+      payload.repositoryId,
+      payload.userId
+    );
+    await job.updateProgress(10, "Fetching repository from GitHub");
+    const result = await BadgeService.syncRepository(
+      payload.repositoryId,
+      accessToken
+    );
+
+    // Pick up contributors who joined on GitHub since the last sync
+    const contributorsJob = await Job.enqueue(
+      "sync_contributors",
+      { repositoryId: payload.repositoryId, userId: payload.userId },
+      { createdBy: job.createdBy, repository: job.repository }
+    );
+    result.contributorsJobId = contributorsJob._id;
+
+    return result;
+  });
+
+  JobQueue.register("sync_contributors", async (payload, job) => {
+    const accessToken = await getRepositoryAccessToken(
+      payload.repositoryId,
+      payload.userId
+    );
+    return BadgeService.syncContributors(payload.repositoryId, accessToken, {
+      onProgress: (percent, message) => job.updateProgress(percent, message),
+    });
+  });
+
+  JobQueue.register("backfill_pull_requests", async (payload, job) => {
+    const accessToken = await getRepositoryAccessToken(
+      payload.repositoryId,
+      payload.userId
+    );
+    const result = await BadgeService.backfillPullRequests(
+      payload.repositoryId,
+      accessToken,
+      {
+        restart: payload.restart,
+        onProgress: (percent, message) => job.updateProgress(percent, message),
+      }
+    );
+
+    // Large repositories continue in a follow-up job so each run stays
+    // short, waiting for the rate limit to reset if it ran out
+    if (!result.completed) {
+      const nextJob = await Job.enqueue(
+        "backfill_pull_requests",
+        { repositoryId: payload.repositoryId, userId: payload.userId },
+        {
+          createdBy: job.createdBy,
+          repository: job.repository,
+          runAt: result.rateLimitResetAt,
+        }
+      );
+      result.nextJobId = nextJob._id;
+    }
+
+    return result;
+  });
+
+  JobQueue.register("backfill_issues", async (payload, job) => {
+    const accessToken = await getRepositoryAccessToken(
+      payload.repositoryId,
+      payload.userId
+    );
+    return BadgeService.backfillIssues(payload.repositoryId, accessToken, {
+      onProgress: (percent, message) => job.updateProgress(percent, message),
+    });
+  });
+};
+
+export default registerJobHandlers;
@@ -0,0 +1,89 @@
+import Job from "../models/job.model.js";
+
+class JobQueue {
+  static handlers = new Map();
+  static running = false;
+  static timer = null;
+
+  /**
+   * Register the handler for a job type
+   * @param {String} type - Job type
+   * @param {Function} handler - async (payload, job) => result
+   */
+  static register(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Claim and run the next runnable job
+   * @returns {Boolean} - Whether a job was processed
+   */
+  static async processNext() {
+    const job = await Job.claimNext();
+    if (!job) {
+      return false;
+    }
+
+    const handler = this.handlers.get(job.type);
+    if (!handler) {
+      job.maxAttempts = job.attempts;
+      await job.fail(`No handler registered for job type: ${job.type}`);
+      return true;
+    }
+
+    console.log(
+      `⚙️ Running job ${job._id} (${job.type}), attempt ${job.attempts}`
+    );
+
+    try {
+      const result = await handler(job.payload, job);
+      await job.complete(result);
+      console.log(`✅ Job ${job._id} (${job.type}) completed`);
+    } catch (error) {
+      console.error(`❌ Job ${job._id} (${job.type}) failed:`, error.message);
+      await job.fail(error.message);
+    }
+
+    return true;
+  }
+
+  /**
+   * Start polling for jobs, draining the queue on every tick
+   * @param {Object} options - pollInterval in milliseconds
+   */
+  static start({ pollInterval = 2000 } = {}) {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+
+    const tick = async () => {
+      if (!this.running) {
+        return;
+      }
+
+      try {
+        while (this.running && (await this.processNext())) {
+          // Keep going until the queue is empty
+        }
+      } catch (error) {
+        console.error("Job worker error:", error);
+      }
+
+      this.timer = setTimeout(tick, pollInterval);
+    };
+
+    console.log("Job worker started");
+    tick();
+  }
+
+  /**
+   * Stop polling for jobs
+   */
+  static stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+  }
+}
+
+export default JobQueue;
@@ -0,0 +1,164 @@
+import crypto from "crypto";
+import axios from "axios";
+import Repository from "../models/repository.model.js";
+import { encrypt, decrypt, isEncrypted } from "../utils/encryption.js";
+
+// Events the installed hook subscribes to
+const WEBHOOK_EVENTS = [
+  "push",
+  "pull_request",
+  "pull_request_review",
+  "pull_request_review_comment",
+  "issues",
+  "commit_comment",
+  "create",
+  "delete",
+  "fork",
+  "release",
+  "star",
+  "watch",
+];
+
+class RepositoryWebhookService {
+  /**
+   * Build GitHub API headers for a user's access token
+   * @param {String} accessToken - GitHub access token
+   * @returns {Object} - Request headers
+   */
+  static getHeaders(accessToken) {
+    return {
+      Authorization: `Bearer ${accessToken}`,
+      Accept: "application/vnd.github.v3+json",
+    };
+  }
+
+  /**
+   * Create (or re-key) the GitHub webhook for a repository with a freshly
+   * generated per-repository secret
+   * @param {String|ObjectId} repoId - Repository ID
+   * @param {String} accessToken - Repository owner's GitHub access token
+   * @returns {Object} - Installation result
+   */
+  static async installWebhook(repoId, accessToken) {
+    const webhookUrl = process.env.WEBHOOK_URL;
+    if (!webhookUrl) {
+      console.warn("WEBHOOK_URL not configured, skipping webhook installation");
+      return { success: false, error: "WEBHOOK_URL not configured" };
+    }
+
+    const repository = await Repository.findById(repoId);
+    if (!repository) {
+      throw new Error("Repository not found");
+    }
+
+    if (repository.webhook?.id) {
+      return { success: true, hookId: repository.webhook.id, existing: true };
+    }
+
+    const secret = crypto.randomBytes(32).toString("hex");
+    const hooksUrl = `https://api.github.com/repos/${repository.fullName}/hooks`;
+    const config = {
+      url: webhookUrl,
+      content_type: "json",
+      secret,
+      insecure_ssl: "0",
+    };
+
+    let hook;
+    try {
+      const response = await axios.post(
+        hooksUrl,
+        { name: "web", active: true, events: WEBHOOK_EVENTS, config },
+        { headers: this.getHeaders(accessToken) }
+      );
+      hook = response.data;
+    } catch (error) {
+      // 422 means a hook for this URL already exists, rotate its secret
+      if (error.response?.status !== 422) {
+        throw error;
+      }
+
+      const { data: hooks } = await axios.get(hooksUrl, {
+        headers: this.getHeaders(accessToken),
+      });
+      const existing = hooks.find((h) => h.config?.url === webhookUrl);
+      if (!existing) {
+        throw error;
+      }
+
+      const response = await axios.patch(
+        `${hooksUrl}/${existing.id}`,
+        { active: true, events: WEBHOOK_EVENTS, config },
+        { headers: this.getHeaders(accessToken) }
+      );
+      hook = response.data;
+    }
+
+    // Stored encrypted like GitHub access tokens
+    repository.webhook = {
+      id: hook.id,
+      secret: encrypt(secret),
+      installedAt: new Date(),
+    };
+    await repository.save();
+
+    return { success: true, hookId: hook.id };
+  }
+
+  /**
+   * Remove the GitHub webhook installed for a repository
+   * @param {String|ObjectId} repoId - Repository ID
+   * @param {String} accessToken - Repository owner's GitHub access token
+   * @returns {Object} - Removal result
+   */
+  static async removeWebhook(repoId, accessToken) {
+    const repository = await Repository.findById(repoId);
+    if (!repository) {
+      throw new Error("Repository not found");
+    }
+
+    if (!repository.webhook?.id) {
+      return { success: true, removed: false };
+    }
+
+    try {
+      await axios.delete(
+        `https://api.github.com/repos/${repository.fullName}/hooks/${repository.webhook.id}`,
+        { headers: this.getHeaders(accessToken) }
+      );
+    } catch (error) {
+      // Already removed on GitHub
+      if (error.response?.status !== 404) {
+        throw error;
+      }
+    }
+
+    repository.webhook = { id: null, secret: null, installedAt: null };
+    await repository.save();
+
+    return { success: true, removed: true };
+  }
+
+  /**
+   * Get the secret webhook deliveries for a GitHub repository are signed with
+   * @param {Number} githubRepoId - GitHub repository ID from the payload
+   * @returns {String|null} - Per-repository secret, or the global secret
+   */
+  static async getSigningSecret(githubRepoId) {
+    if (githubRepoId) {
+      const repository = await Repository.findOne({
+        githubId: githubRepoId,
+      }).select("+webhook.secret");
+
+      const storedSecret = repository?.webhook?.secret;
+      if (storedSecret) {
+        // Secrets stored before encryption was introduced are plaintext
+        return isEncrypted(storedSecret) ? decrypt(storedSecret) : storedSecret;
+      }
+    }
+
+    return process.env.WEBHOOK_SECRET || null;
+  }
+}
+
+export default RepositoryWebhookService;
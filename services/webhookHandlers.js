@@ -0,0 +1,470 @@
+import User from "../models/user.model.js";
+import Repository from "../models/repository.model.js";
+import PullRequest from "../models/pull-request.model.js";
+import Issue from "../models/issue.model.js";
+import Review from "../models/review.model.js";
+import Release from "../models/release.model.js";
+import Installation from "../models/installation.model.js";
+import BadgeService from "./badgeService.js";
+import GitHubAppService from "./githubAppService.js";
+import WebhookRegistry from "./webhookRegistry.js";
+
+// Pull request actions that change data we persist
+const TRACKED_PR_ACTIONS = [
+  "opened",
+  "edited",
+  "closed",
+  "reopened",
+  "synchronize",
+];
+
+// Issue actions that change data we persist
+const TRACKED_ISSUE_ACTIONS = [
+  "opened",
+  "edited",
+  "closed",
+  "reopened",
+  "labeled",
+  "unlabeled",
+];
+
+/**
+ * Handle push events (new commits)
+ */
+const handlePushEvent = async (payload) => {
+  const { repository, pusher, commits, ref } = payload;
+
+  console.log(`Push to ${repository.full_name} on ${ref} by ${pusher.name}`);
+  console.log(`${commits.length} commit(s) pushed:`);
+
+  commits.forEach((commit, index) => {
+    console.log(
+      `  ${index + 1}. ${commit.message} (${commit.id.substring(0, 7)}) by ${
+        commit.author.name
+      }`
+    );
+  });
+
+  // Find user by repository owner or pusher
+  const user = await User.findOne({
+    $or: [
+      { githubUsername: repository.owner.login },
+      { githubUsername: pusher.name },
+    ],
+  });
+
+  if (user) {
+    console.log(`Associated with user: ${user.email}`);
+    // Here you can store the event data, trigger notifications, etc.
+  }
+};
+
+/**
+ * Handle pull request events
+ * Stores the PR so badge handlers see up-to-date data
+ */
+const handlePullRequestEvent = async (payload) => {
+  const { action, pull_request, repository, sender } = payload;
+
+  console.log(
+    `PR ${action}: #${pull_request.number} "${pull_request.title}" in ${repository.full_name}`
+  );
+  console.log(`From: ${pull_request.head.ref} → ${pull_request.base.ref}`);
+  console.log(`By: ${sender.login}`);
+
+  if (!TRACKED_PR_ACTIONS.includes(action)) {
+    return null;
+  }
+
+  // Only repositories imported into our system are tracked
+  const trackedRepository = await Repository.findByGitHubId(repository.id);
+  if (!trackedRepository) {
+    console.log(`Repository ${repository.full_name} is not imported, skipping`);
+    return null;
+  }
+
+  // Resolve the PR author, creating a placeholder if they haven't signed up
+  const author = await User.findOrCreateFromGitHub(pull_request.user);
+  if (!author) {
+    console.warn(`Could not resolve PR author: ${pull_request.user.login}`);
+    return null;
+  }
+
+  const pullRequest = await PullRequest.createOrUpdateFromWebhook(
+    pull_request,
+    trackedRepository,
+    author
+  );
+  console.log(
+    `Stored PR #${pullRequest.number} (${pullRequest.state}) for ${author.githubUsername}`
+  );
+
+  return pullRequest;
+};
+
+/**
+ * Handle issue events
+ * Stores the issue along with who closed it
+ */
+const handleIssueEvent = async (payload) => {
+  const { action, issue, repository, sender } = payload;
+
+  console.log(
+    `Issue ${action}: #${issue.number} "${issue.title}" in ${repository.full_name}`
+  );
+  console.log(`By: ${sender.login}`);
+
+  if (!TRACKED_ISSUE_ACTIONS.includes(action)) {
+    return null;
+  }
+
+  const trackedRepository = await Repository.findByGitHubId(repository.id);
+  if (!trackedRepository) {
+    console.log(`Repository ${repository.full_name} is not imported, skipping`);
+    return null;
+  }
+
+  const author = await User.findOrCreateFromGitHub(issue.user);
+  if (!author) {
+    console.warn(`Could not resolve issue author: ${issue.user.login}`);
+    return null;
+  }
+
+  // The sender of a "closed" delivery is the user who closed the issue
+  const closer =
+    action === "closed" ? await User.findOrCreateFromGitHub(sender) : null;
+
+  const storedIssue = await Issue.createOrUpdateFromWebhook(
+    issue,
+    trackedRepository,
+    author,
+    closer
+  );
+  console.log(`Stored issue #${storedIssue.number} (${storedIssue.state})`);
+
+  return storedIssue;
+};
+
+/**
+ * Handle pull request review events
+ * Stores the review
+ */
+const handlePullRequestReviewEvent = async (payload) => {
+  const { action, review, pull_request, repository, sender } = payload;
+
+  console.log(
+    `PR review ${action}: #${pull_request.number} (${review.state}) in ${repository.full_name}`
+  );
+  console.log(`By: ${sender.login}`);
+
+  const trackedRepository = await Repository.findByGitHubId(repository.id);
+  if (!trackedRepository) {
+    console.log(`Repository ${repository.full_name} is not imported, skipping`);
+    return null;
+  }
+
+  const reviewer = await User.findOrCreateFromGitHub(review.user);
+  if (!reviewer) {
+    console.warn(`Could not resolve reviewer: ${review.user.login}`);
+    return null;
+  }
+
+  return Review.createOrUpdateFromWebhook(
+    review,
+    pull_request,
+    trackedRepository,
+    reviewer
+  );
+};
+
+/**
+ * Handle pull request review comment events
+ */
+const handlePullRequestReviewCommentEvent = async (payload) => {
+  const { action, comment, pull_request, repository, sender } = payload;
+
+  console.log(
+    `PR review comment ${action}: #${pull_request.number} in ${repository.full_name}`
+  );
+  console.log(`By: ${sender.login}`);
+
+  if (!["created", "deleted"].includes(action)) {
+    return null;
+  }
+
+  const trackedRepository = await Repository.findByGitHubId(repository.id);
+  if (!trackedRepository) {
+    return null;
+  }
+
+  const reviewer = await User.findOrCreateFromGitHub(comment.user);
+  if (!reviewer) {
+    return null;
+  }
+
+  return Review.recordComment(
+    comment,
+    pull_request,
+    trackedRepository,
+    reviewer,
+    action === "created" ? 1 : -1
+  );
+};
+
+/**
+ * Handle commit comment events
+ */
+const handleCommitCommentEvent = async (payload) => {
+  const { action, comment, repository, sender } = payload;
+
+  console.log(`Commit comment ${action} in ${repository.full_name}`);
+  console.log(`Comment: ${comment.body}`);
+  console.log(`By: ${sender.login}`);
+};
+
+/**
+ * Handle branch/tag creation
+ */
+const handleCreateEvent = async (payload) => {
+  const { ref_type, ref, repository, sender } = payload;
+
+  console.log(
+    `${ref_type} created: ${ref} in ${repository.full_name} by ${sender.login}`
+  );
+};
+
+/**
+ * Handle branch/tag deletion
+ */
+const handleDeleteEvent = async (payload) => {
+  const { ref_type, ref, repository, sender } = payload;
+
+  console.log(
+    `${ref_type} deleted: ${ref} in ${repository.full_name} by ${sender.login}`
+  );
+};
+
+/**
+ * Handle repository fork
+ * Updates the fork count and awards fork milestone badges
+ */
+const handleForkEvent = async (payload, { deliveryId }) => {
+  const { forkee, repository, sender } = payload;
+
+  console.log(
+    `Repository forked: ${repository.full_name} → ${forkee.full_name} by ${sender.login}`
+  );
+
+  const trackedRepository = await Repository.findByGitHubId(repository.id);
+  if (!trackedRepository) {
+    return null;
+  }
+
+  const previousForks = trackedRepository.forksCount;
+  trackedRepository.forksCount = repository.forks_count;
+  await trackedRepository.save();
+
+  return BadgeService.awardRepositoryMilestones(
+    trackedRepository._id,
+    { forks: previousForks },
+    { triggeringEvent: "fork_milestone", deliveryId, awardedBy: "webhook" }
+  );
+};
+
+/**
+ * Handle release events
+ * Stores published releases and forgets deleted ones
+ */
+const handleReleaseEvent = async (payload) => {
+  const { action, release, repository, sender } = payload;
+
+  console.log(
+    `Release ${action}: ${release.tag_name} in ${repository.full_name}`
+  );
+  console.log(`Release name: ${release.name}`);
+  console.log(`By: ${sender.login}`);
+
+  const trackedRepository = await Repository.findByGitHubId(repository.id);
+  if (!trackedRepository) {
+    return null;
+  }
+
+  if (action === "deleted" || action === "unpublished") {
+    return Release.deleteOne({
+      repository: trackedRepository._id,
+      githubReleaseId: release.id,
+    });
+  }
+
+  // Drafts are not public yet and don't count towards release badges
+  if (release.draft || !release.published_at) {
+    return null;
+  }
+
+  const author = await User.findOrCreateFromGitHub(release.author);
+  if (!author) {
+    console.warn(`Could not resolve release author: ${release.author?.login}`);
+    return null;
+  }
+
+  return Release.createOrUpdateFromWebhook(release, trackedRepository, author);
+};
+
+/**
+ * Handle star events
+ * Updates the star count and awards star milestone badges
+ */
+const handleStarEvent = async (payload, { deliveryId }) => {
+  const { action, repository, sender } = payload;
+
+  console.log(
+    `Repository ${action === "created" ? "starred" : "unstarred"}: ${
+      repository.full_name
+    } by ${sender.login}`
+  );
+
+  const trackedRepository = await Repository.findByGitHubId(repository.id);
+  if (!trackedRepository) {
+    return null;
+  }
+
+  const previousStars = trackedRepository.stargazersCount;
+  trackedRepository.stargazersCount = repository.stargazers_count;
+  await trackedRepository.save();
+
+  if (action !== "created") {
+    return null;
+  }
+
+  return BadgeService.awardRepositoryMilestones(
+    trackedRepository._id,
+    { stars: previousStars },
+    { triggeringEvent: "star_milestone", deliveryId, awardedBy: "webhook" }
+  );
+};
+
+/**
+ * Handle watch events
+ */
+const handleWatchEvent = async (payload) => {
+  const { action, repository, sender } = payload;
+
+  console.log(
+    `Repository ${action}: ${repository.full_name} by ${sender.login}`
+  );
+};
+
+/**
+ * Handle GitHub App installation events
+ * Keeps track of which repositories installation tokens can be used for
+ */
+const handleInstallationEvent = async (payload) => {
+  const { action, installation, repositories, sender } = payload;
+
+  console.log(
+    `App installation ${action}: ${installation.account.login} (${installation.id}) by ${sender.login}`
+  );
+
+  switch (action) {
+    case "created":
+      return Installation.upsertFromWebhook(installation, repositories);
+    case "deleted":
+      GitHubAppService.clearInstallationToken(installation.id);
+      return Installation.updateOne(
+        { installationId: installation.id },
+        { $set: { active: false } }
+      );
+    case "suspend":
+    case "unsuspend":
+      GitHubAppService.clearInstallationToken(installation.id);
+      return Installation.updateOne(
+        { installationId: installation.id },
+        { $set: { suspendedAt: installation.suspended_at || null } }
+      );
+    case "new_permissions_accepted":
+      GitHubAppService.clearInstallationToken(installation.id);
+      return Installation.updateOne(
+        { installationId: installation.id },
+        { $set: { permissions: installation.permissions || {} } }
+      );
+    default:
+      return null;
+  }
+};
+
+/**
+ * Handle repositories being added to or removed from an app installation
+ */
+const handleInstallationRepositoriesEvent = async (payload) => {
+  const {
+    action,
+    installation,
+    repositories_added = [],
+    repositories_removed = [],
+  } = payload;
+
+  console.log(
+    `App installation ${installation.id} repositories ${action}: +${repositories_added.length} -${repositories_removed.length}`
+  );
+
+  const storedInstallation = await Installation.findOne({
+    installationId: installation.id,
+  });
+
+  // We missed the "created" delivery, so the repository list isn't complete
+  if (!storedInstallation) {
+    return Installation.upsertFromWebhook(installation, repositories_added);
+  }
+
+  storedInstallation.repositorySelection = installation.repository_selection;
+  return storedInstallation.updateRepositories(
+    repositories_added,
+    repositories_removed
+  );
+};
+
+/**
+ * Register the handlers that log events and keep stored GitHub data current
+ */
+const registerWebhookHandlers = () => {
+  WebhookRegistry.on("push", "log-push", handlePushEvent);
+  WebhookRegistry.on(
+    "pull_request",
+    "store-pull-request",
+    handlePullRequestEvent
+  );
+  WebhookRegistry.on("issues", "store-issue", handleIssueEvent);
+  WebhookRegistry.on(
+    "pull_request_review",
+    "store-review",
+    handlePullRequestReviewEvent
+  );
+  WebhookRegistry.on(
+    "pull_request_review_comment",
+    "store-review-comment",
+    handlePullRequestReviewCommentEvent
+  );
+  WebhookRegistry.on(
+    "commit_comment",
+    "log-commit-comment",
+    handleCommitCommentEvent
+  );
+  WebhookRegistry.on("create", "log-create", handleCreateEvent);
+  WebhookRegistry.on("delete", "log-delete", handleDeleteEvent);
+  WebhookRegistry.on("fork", "update-fork-count", handleForkEvent);
+  WebhookRegistry.on("release", "store-release", handleReleaseEvent);
+  WebhookRegistry.on("star", "update-star-count", handleStarEvent);
+  WebhookRegistry.on("watch", "log-watch", handleWatchEvent);
+  WebhookRegistry.on(
+    "installation",
+    "track-installation",
+    handleInstallationEvent
+  );
+  WebhookRegistry.on(
+    "installation_repositories",
+    "track-installation-repositories",
+    handleInstallationRepositoriesEvent
+  );
+};
+
+export default registerWebhookHandlers;
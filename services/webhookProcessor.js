@@ -0,0 +1,144 @@
+import WebhookEvent from "../models/webhook-event.model.js";
+import WebhookRegistry from "./webhookRegistry.js";
+
+class WebhookProcessor {
+  static running = false;
+  static draining = false;
+  static timer = null;
+
+  /**
+   * Run a stored webhook event through its handlers, recording the outcome
+   * Handlers that succeeded on an earlier attempt are not run again, as not
+   * all of them are idempotent
+   * @param {Object} event - WebhookEvent document
+   * @returns {Object} - The updated event
+   */
+  static async processEvent(event) {
+    const startedAt = Date.now();
+    event.attempts += 1;
+
+    try {
+      const { completed, errors } = await WebhookRegistry.dispatch(
+        event.eventType,
+        event.payload,
+        event.deliveryId,
+        { skip: event.completedHandlers }
+      );
+      event.completedHandlers.push(...completed);
+
+      if (errors.length > 0) {
+        throw new Error(errors.join("; "));
+      }
+      await event.markProcessed(Date.now() - startedAt);
+    } catch (error) {
+      console.error(
+        `Webhook event ${event._id} (${event.eventType}) failed on attempt ${event.attempts}:`,
+        error.message
+      );
+      await event.markFailed(error.message, Date.now() - startedAt);
+    }
+
+    return event;
+  }
+
+  /**
+   * Retry failed events whose backoff has elapsed
+   * @param {Number} limit - Maximum number of events to retry
+   * @returns {Number} - Number of events retried
+   */
+  static async retryFailedEvents(limit = 10) {
+    const events = await WebhookEvent.find({
+      status: "failed",
+      nextAttemptAt: { $ne: null, $lte: new Date() },
+    })
+      .sort({ nextAttemptAt: 1 })
+      .limit(limit);
+
+    for (const event of events) {
+      await this.processEvent(event);
+    }
+
+    return events.length;
+  }
+
+  /**
+   * Process received events oldest first, so events for a repository are
+   * handled in the order GitHub delivered them
+   * @param {Number} limit - Maximum number of events to process
+   * @returns {Number} - Number of events processed
+   */
+  static async processReceivedEvents(limit = 20) {
+    const events = await WebhookEvent.find({ status: "received" })
+      .sort({ createdAt: 1, _id: 1 })
+      .limit(limit);
+
+    for (const event of events) {
+      await this.processEvent(event);
+    }
+
+    return events.length;
+  }
+
+  /**
+   * Drain all received events, then retry failed events that are due
+   */
+  static async drain() {
+    if (this.draining) {
+      return;
+    }
+    this.draining = true;
+
+    try {
+      while (this.running && (await this.processReceivedEvents()) > 0) {
+        // Keep going until no received events are left
+      }
+      await this.retryFailedEvents();
+    } catch (error) {
+      console.error("Webhook worker error:", error);
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  /**
+   * Wake the worker up after a new event has been stored
+   */
+  static notify() {
+    if (this.running) {
+      setImmediate(() => this.drain());
+    }
+  }
+
+  /**
+   * Start polling for received and failed events
+   * @param {Object} options - pollInterval in milliseconds
+   */
+  static start({ pollInterval = 5000 } = {}) {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+
+    const tick = async () => {
+      if (!this.running) {
+        return;
+      }
+
+      await this.drain();
+      this.timer = setTimeout(tick, pollInterval);
+    };
+
+    console.log("Webhook worker started");
+    tick();
+  }
+
+  /**
+   * Stop polling for events
+   */
+  static stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+  }
+}
+
+export default WebhookProcessor;
@@ -0,0 +1,100 @@
+class WebhookRegistry {
+  static handlers = new Map();
+
+  /**
+   * Subscribe a handler to a webhook event
+   * @param {String} key - Event type, optionally with an action (e.g. "pull_request.closed")
+   * @param {String} name - Unique handler name, used in logs and errors
+   * @param {Function} handler - async (payload, { event, action, deliveryId }) => result
+   */
+  static on(key, name, handler) {
+    if (!this.handlers.has(key)) {
+      this.handlers.set(key, []);
+    }
+
+    const handlers = this.handlers.get(key);
+    if (handlers.some((h) => h.name === name)) {
+      throw new Error(
+        `Webhook handler "${name}" already registered for ${key}`
+      );
+    }
+
+    handlers.push({ name, handler });
+  }
+
+  /**
+   * Unsubscribe a handler from a webhook event
+   * @param {String} key - Event type, optionally with an action
+   * @param {String} name - Handler name
+   */
+  static off(key, name) {
+    const handlers = this.handlers.get(key);
+    if (handlers) {
+      this.handlers.set(
+        key,
+        handlers.filter((h) => h.name !== name)
+      );
+    }
+  }
+
+  /**
+   * Get the handlers for an event, event-wide handlers before action ones
+   * @param {String} event - GitHub event type
+   * @param {String} action - Payload action, if any
+   * @returns {Array} - Registered handlers in run order
+   */
+  static getHandlers(event, action = null) {
+    return [
+      ...(this.handlers.get(event) || []),
+      ...((action && this.handlers.get(`${event}.${action}`)) || []),
+    ];
+  }
+
+  /**
+   * Run every handler subscribed to an event. A failing handler doesn't stop
+   * the others; failures are collected and returned with the names of the
+   * handlers that succeeded, so a retry can skip those
+   * @param {String} event - GitHub event type
+   * @param {Object} payload - Webhook payload
+   * @param {String} deliveryId - GitHub delivery ID
+   * @param {Object} options - skip lists handler names that already succeeded
+   * @returns {Object} - { handled, completed, errors }
+   */
+  static async dispatch(event, payload, deliveryId, options = {}) {
+    const { skip = [] } = options;
+    const action = payload?.action || null;
+    const handlers = this.getHandlers(event, action);
+
+    if (handlers.length === 0) {
+      console.log(
+        `No handlers registered for ${action ? `${event}.${action}` : event}`
+      );
+      return { handled: 0, completed: [], errors: [] };
+    }
+
+    const context = { event, action, deliveryId };
+    const completed = [];
+    const errors = [];
+
+    for (const { name, handler } of handlers) {
+      if (skip.includes(name)) {
+        continue;
+      }
+
+      try {
+        await handler(payload, context);
+        completed.push(name);
+      } catch (error) {
+        console.error(
+          `Webhook handler "${name}" failed for ${event}:`,
+          error.message
+        );
+        errors.push(`${name}: ${error.message}`);
+      }
+    }
+
+    return { handled: completed.length, completed, errors };
+  }
+}
+
+export default WebhookRegistry;
@@ -0,0 +1,29 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import AuthCode from "../models/auth-code.model.js";
+
+const codeVerifier = crypto.randomBytes(32).toString("base64url");
+const codeChallenge = crypto
+  .createHash("sha256")
+  .update(codeVerifier)
+  .digest("base64url");
+
+describe("AuthCode#verifyCodeVerifier", () => {
+  const authCode = new AuthCode({ codeChallenge });
+
+  it("accepts the verifier the challenge was made from", () => {
+    assert.equal(authCode.verifyCodeVerifier(codeVerifier), true);
+  });
+
+  it("rejects other verifiers", () => {
+    assert.equal(authCode.verifyCodeVerifier(`${codeVerifier}x`), false);
+    assert.equal(authCode.verifyCodeVerifier(codeChallenge), false);
+    assert.equal(authCode.verifyCodeVerifier(""), false);
+    assert.equal(authCode.verifyCodeVerifier(undefined), false);
+    assert.equal(
+      authCode.verifyCodeVerifier({ toString: () => codeVerifier }),
+      false
+    );
+  });
+});
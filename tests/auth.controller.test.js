@@ -0,0 +1,29 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { getSafeReturnPath } from "../controllers/auth.controller.js";
+
+describe("getSafeReturnPath", () => {
+  it("keeps paths on our own frontend", () => {
+    assert.equal(
+      getSafeReturnPath("/repositories/1?tab=badges"),
+      "/repositories/1?tab=badges"
+    );
+  });
+
+  it("falls back to /home for anything else", () => {
+    for (const returnTo of [
+      undefined,
+      "",
+      "https://evil.example",
+      "//evil.example",
+      "/\\evil.example",
+      "/\t/evil.example",
+      "/\n/evil.example",
+      "/ /evil.example",
+      "/\x00/evil.example",
+      ["/home"],
+    ]) {
+      assert.equal(getSafeReturnPath(returnTo), "/home", String(returnTo));
+    }
+  });
+});
@@ -0,0 +1,175 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import axios from "axios";
+import mongoose from "mongoose";
+import User from "../models/user.model.js";
+import Repository from "../models/repository.model.js";
+import Issue from "../models/issue.model.js";
+import Badge from "../models/badge.model.js";
+import UserBadge from "../models/user-badge.model.js";
+import UserRepository from "../models/user-repository.model.js";
+import BadgeService from "../services/badgeService.js";
+
+const ownerId = new mongoose.Types.ObjectId();
+const memberId = new mongoose.Types.ObjectId();
+const repository = {
+  _id: new mongoose.Types.ObjectId(),
+  owner: ownerId,
+  stargazersCount: 100,
+  forksCount: 40,
+};
+const starBadge = {
+  _id: new mongoose.Types.ObjectId(),
+  name: "100 Stars",
+  repository: repository._id,
+  active: true,
+  criteriaType: "stars",
+  criteriaValue: 100,
+};
+const forkBadge = {
+  _id: new mongoose.Types.ObjectId(),
+  name: "10 Forks",
+  repository: repository._id,
+  active: true,
+  criteriaType: "forks",
+  criteriaValue: 10,
+};
+
+const stubRepository = (t) => {
+  t.mock.method(Repository, "findById", async () => repository);
+  t.mock.method(Badge, "find", async () => [starBadge, forkBadge]);
+  t.mock.method(UserRepository, "find", () => ({
+    select: async () => [{ user: memberId }],
+  }));
+  t.mock.method(UserBadge, "distinct", async () => []);
+  return t.mock.method(
+    UserBadge,
+    "awardBadge",
+    async ({ userId, badgeId }) => ({
+      success: true,
+      award: { userId, badgeId },
+    })
+  );
+};
+
+describe("BadgeService.awardRepositoryMilestones", () => {
+  it("awards a milestone to every member when it is crossed", async (t) => {
+    const awardBadge = stubRepository(t);
+
+    const result = await BadgeService.awardRepositoryMilestones(
+      repository._id,
+      { stars: 99 }
+    );
+
+    assert.deepEqual(result.milestones, ["100 Stars"]);
+    assert.equal(result.awardsGiven, 2);
+    assert.deepEqual(
+      awardBadge.mock.calls.map((call) => call.arguments[0].userId),
+      [ownerId.toString(), memberId.toString()]
+    );
+  });
+
+  it("awards nothing once the milestone was already passed", async (t) => {
+    const awardBadge = stubRepository(t);
+
+    // The fork badge's threshold was passed long ago, stars didn't change
+    const result = await BadgeService.awardRepositoryMilestones(
+      repository._id,
+      { forks: 39 }
+    );
+
+    assert.deepEqual(result.milestones, []);
+    assert.equal(awardBadge.mock.callCount(), 0);
+  });
+});
+
+describe("BadgeService.awardReachedMilestone", () => {
+  it("awards a new badge whose threshold is already passed", async (t) => {
+    const awardBadge = stubRepository(t);
+
+    const awards = await BadgeService.awardReachedMilestone(forkBadge);
+
+    assert.equal(awards.length, 2);
+    assert.equal(
+      awardBadge.mock.calls[0].arguments[0].triggeringEvent,
+      "badge_created"
+    );
+  });
+
+  it("leaves a badge whose threshold isn't reached yet", async (t) => {
+    const awardBadge = stubRepository(t);
+
+    const awards = await BadgeService.awardReachedMilestone({
+      ...starBadge,
+      criteriaValue: 500,
+    });
+
+    assert.deepEqual(awards, []);
+    assert.equal(awardBadge.mock.callCount(), 0);
+  });
+});
+
+describe("BadgeService.backfillIssues", () => {
+  const closedIssue = {
+    id: 11,
+    number: 1,
+    url: "https://api.github.com/repos/octo/app/issues/1",
+    state: "closed",
+    state_reason: "completed",
+    updated_at: "2026-01-02T10:00:00Z",
+    user: { id: 1, login: "author" },
+  };
+  const openIssue = {
+    id: 12,
+    number: 2,
+    url: "https://api.github.com/repos/octo/app/issues/2",
+    state: "open",
+    state_reason: null,
+    updated_at: "2026-01-02T10:00:00Z",
+    user: { id: 1, login: "author" },
+  };
+
+  const stubBackfill = (t, listPages) => {
+    t.mock.method(Repository, "findById", async () => ({
+      ...repository,
+      fullName: "octo/app",
+    }));
+    t.mock.method(Issue, "find", () => ({ select: async () => [] }));
+    t.mock.method(User, "findOrCreateFromGitHub", async (githubUser) => ({
+      _id: githubUser.login,
+    }));
+    t.mock.method(axios, "get", async (url, { params } = {}) =>
+      params
+        ? { data: listPages[params.page - 1] || [] }
+        : { data: { ...closedIssue, closed_by: { id: 2, login: "closer" } } }
+    );
+    return t.mock.method(Issue, "createOrUpdateFromWebhook", async () => ({}));
+  };
+
+  it("records who closed issues closed as completed", async (t) => {
+    const store = stubBackfill(t, [[closedIssue, openIssue]]);
+
+    const result = await BadgeService.backfillIssues(repository._id, "token");
+
+    assert.equal(result.processed, 2);
+    assert.equal(result.completed, true);
+    const closers = store.mock.calls.map((call) => call.arguments[3]);
+    assert.deepEqual(closers, [{ _id: "closer" }, null]);
+  });
+
+  it("reports stopping at maxPages with issues left", async (t) => {
+    const fullPage = Array.from({ length: 100 }, (_, i) => ({
+      ...openIssue,
+      id: 100 + i,
+      number: 100 + i,
+    }));
+    stubBackfill(t, [fullPage, fullPage]);
+
+    const result = await BadgeService.backfillIssues(repository._id, "token", {
+      maxPages: 1,
+    });
+
+    assert.equal(result.completed, false);
+    assert.match(result.message, /Stopped after 1 pages/);
+  });
+});
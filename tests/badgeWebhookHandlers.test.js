@@ -0,0 +1,60 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import User from "../models/user.model.js";
+import Repository from "../models/repository.model.js";
+import BadgeService from "../services/badgeService.js";
+import WebhookRegistry from "../services/webhookRegistry.js";
+import registerBadgeWebhookHandlers from "../services/badgeWebhookHandlers.js";
+
+const mergedPayload = {
+  action: "closed",
+  repository: { id: 1 },
+  pull_request: {
+    merged: true,
+    number: 7,
+    title: "Add feature",
+    user: { id: 2, login: "octocat" },
+  },
+};
+
+describe("award-merged-pr-badges", () => {
+  before(() => registerBadgeWebhookHandlers());
+  after(() => WebhookRegistry.handlers.clear());
+
+  const stubLookups = (t, awardResult) => {
+    t.mock.method(Repository, "findByGitHubId", async () => ({ _id: "r1" }));
+    t.mock.method(User, "findOrCreateFromGitHub", async () => ({
+      _id: "u1",
+      githubUsername: "octocat",
+    }));
+    t.mock.method(BadgeService, "awardBadgeForEvent", async () => awardResult);
+  };
+
+  it("fails the handler when awarding errors, so the event is retried", async (t) => {
+    stubLookups(t, { success: false, error: "connection reset" });
+
+    const result = await WebhookRegistry.dispatch(
+      "pull_request",
+      mergedPayload,
+      "delivery-1"
+    );
+
+    assert.deepEqual(result.completed, []);
+    assert.deepEqual(result.errors, [
+      "award-merged-pr-badges: Badge awarding failed: connection reset",
+    ]);
+  });
+
+  it("completes when there is nothing to award", async (t) => {
+    stubLookups(t, { success: false, message: "No contributions found" });
+
+    const result = await WebhookRegistry.dispatch(
+      "pull_request",
+      mergedPayload,
+      "delivery-2"
+    );
+
+    assert.deepEqual(result.completed, ["award-merged-pr-badges"]);
+    assert.deepEqual(result.errors, []);
+  });
+});
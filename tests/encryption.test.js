@@ -0,0 +1,111 @@
+import { describe, it, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import {
+  encrypt,
+  decrypt,
+  isEncrypted,
+  needsReencryption,
+  getCurrentKeyVersion,
+} from "../utils/encryption.js";
+
+const key = () => crypto.randomBytes(32).toString("base64");
+const keyV1 = key();
+const keyV2 = key();
+
+const { TOKEN_ENCRYPTION_KEYS, TOKEN_ENCRYPTION_KEY_VERSION } = process.env;
+
+const useKeys = (keys, version) => {
+  process.env.TOKEN_ENCRYPTION_KEYS = keys;
+  if (version) {
+    process.env.TOKEN_ENCRYPTION_KEY_VERSION = String(version);
+  } else {
+    delete process.env.TOKEN_ENCRYPTION_KEY_VERSION;
+  }
+};
+
+/**
+ * Flip one byte of a base64 part of an encrypted value
+ */
+const tamper = (value, partIndex) => {
+  const parts = value.split(":");
+  const bytes = Buffer.from(parts[partIndex], "base64");
+  bytes[0] ^= 0xff;
+  parts[partIndex] = bytes.toString("base64");
+  return parts.join(":");
+};
+
+describe("token encryption", () => {
+  beforeEach(() => useKeys(`1:${keyV1}`));
+
+  after(() => {
+    useKeys(TOKEN_ENCRYPTION_KEYS, TOKEN_ENCRYPTION_KEY_VERSION);
+    if (TOKEN_ENCRYPTION_KEYS === undefined) {
+      delete process.env.TOKEN_ENCRYPTION_KEYS;
+    }
+  });
+
+  it("round-trips a value with a fresh IV each time", () => {
+    const first = encrypt("gho_secret");
+    const second = encrypt("gho_secret");
+
+    assert.ok(isEncrypted(first));
+    assert.ok(first.startsWith("v1:"));
+    assert.notEqual(first, second);
+    assert.equal(decrypt(first), "gho_secret");
+    assert.equal(decrypt(second), "gho_secret");
+  });
+
+  it("decrypts values from an older key version after rotation", () => {
+    const old = encrypt("gho_secret");
+
+    useKeys(`1:${keyV1},2:${keyV2}`);
+
+    assert.equal(getCurrentKeyVersion(), 2);
+    assert.equal(decrypt(old), "gho_secret");
+    assert.ok(encrypt("gho_secret").startsWith("v2:"));
+  });
+
+  it("fails to decrypt once the old key is removed", () => {
+    const old = encrypt("gho_secret");
+
+    useKeys(`2:${keyV2}`);
+
+    assert.throws(() => decrypt(old), /key v1 not configured/);
+  });
+
+  it("flags plaintext and old key versions for re-encryption", () => {
+    const old = encrypt("gho_secret");
+    assert.equal(needsReencryption(old), false);
+
+    useKeys(`1:${keyV1},2:${keyV2}`);
+
+    assert.equal(needsReencryption(old), true);
+    assert.equal(needsReencryption(encrypt("gho_secret")), false);
+    assert.equal(needsReencryption("gho_plaintext"), true);
+    assert.equal(needsReencryption(null), false);
+  });
+
+  it("keeps encrypting with a pinned key version", () => {
+    useKeys(`1:${keyV1},2:${keyV2}`, 1);
+
+    const value = encrypt("gho_secret");
+
+    assert.ok(value.startsWith("v1:"));
+    assert.equal(needsReencryption(value), false);
+  });
+
+  it("rejects tampered ciphertext and auth tags", () => {
+    const value = encrypt("gho_secret");
+
+    // Parts are version, IV, auth tag and ciphertext
+    assert.throws(() => decrypt(tamper(value, 3)));
+    assert.throws(() => decrypt(tamper(value, 2)));
+    assert.throws(() => decrypt(tamper(value, 1)));
+  });
+
+  it("rejects values that aren't encrypted", () => {
+    assert.equal(isEncrypted("gho_plaintext"), false);
+    assert.throws(() => decrypt("gho_plaintext"), /not encrypted/);
+  });
+});
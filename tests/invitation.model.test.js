@@ -0,0 +1,26 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import Invitation from "../models/invitation.model.js";
+
+describe("Invitation#isFor", () => {
+  const invitation = new Invitation({ email: "invitee@example.com" });
+
+  it("matches a verified email", () => {
+    assert.equal(
+      invitation.isFor({ email: "Invitee@example.com", emailVerified: true }),
+      true
+    );
+  });
+
+  it("ignores an unverified email", () => {
+    assert.equal(
+      invitation.isFor({ email: "invitee@example.com", emailVerified: false }),
+      false
+    );
+  });
+
+  it("matches GitHub usernames case-insensitively", () => {
+    const byLogin = new Invitation({ githubUsername: "OctoCat" });
+    assert.equal(byLogin.isFor({ githubUsername: "octocat" }), true);
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Session from "../models/session.model.js";
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const sessionId = new mongoose.Types.ObjectId();
+const refreshToken = `${sessionId}.secret`;
+
+const storedSession = (overrides) =>
+  new Session({
+    _id: sessionId,
+    user: new mongoose.Types.ObjectId(),
+    refreshTokenHash: hashToken(`${sessionId}.newer`),
+    expiresAt: new Date(Date.now() + 60 * 1000),
+    ...overrides,
+  });
+
+describe("Session.rotate", () => {
+  it("swaps the token only if it is still the current one", async (t) => {
+    const rotated = storedSession();
+    const findOneAndUpdate = t.mock.method(
+      Session,
+      "findOneAndUpdate",
+      async () => rotated
+    );
+
+    const result = await Session.rotate(refreshToken);
+
+    const [filter, update] = findOneAndUpdate.mock.calls[0].arguments;
+    assert.equal(filter.refreshTokenHash, hashToken(refreshToken));
+    assert.equal(filter.revokedAt, null);
+    assert.equal(update.$set.previousTokenHash, hashToken(refreshToken));
+    assert.equal(update.$set.refreshTokenHash, hashToken(result.refreshToken));
+    assert.equal(result.session, rotated);
+  });
+
+  it("reports a conflict when a concurrent refresh won the swap", async (t) => {
+    t.mock.method(Session, "findOneAndUpdate", async () => null);
+    t.mock.method(Session, "findById", () => ({
+      select: async () =>
+        storedSession({
+          previousTokenHash: hashToken(refreshToken),
+          rotatedAt: new Date(),
+        }),
+    }));
+
+    assert.deepEqual(await Session.rotate(refreshToken), {
+      error: "Refresh token already used",
+      conflict: true,
+    });
+  });
+
+  it("revokes the session when an old token is replayed later", async (t) => {
+    const session = storedSession({
+      previousTokenHash: hashToken(refreshToken),
+      rotatedAt: new Date(Date.now() - 60 * 1000),
+    });
+    t.mock.method(Session, "findOneAndUpdate", async () => null);
+    t.mock.method(Session, "findById", () => ({ select: async () => session }));
+    const save = t.mock.method(session, "save", async () => session);
+
+    const result = await Session.rotate(refreshToken);
+
+    assert.equal(result.error, "Refresh token reuse detected, session revoked");
+    assert.equal(session.revokedReason, "token_reuse");
+    assert.equal(save.mock.callCount(), 1);
+  });
+});
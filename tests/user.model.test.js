@@ -0,0 +1,86 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import User from "../models/user.model.js";
+
+describe("User.releaseGitHubUsername", () => {
+  it("renames another account holding the login and keeps its data", async (t) => {
+    const stale = new User({
+      githubId: "1001",
+      githubUsername: "octocat",
+      isPlaceholder: true,
+    });
+    const findOne = t.mock.method(User, "findOne", async () => stale);
+    const save = t.mock.method(stale, "save", async () => stale);
+    const deleteOne = t.mock.method(User, "deleteOne", async () => ({}));
+
+    const released = await User.releaseGitHubUsername("octocat", 2002);
+
+    // Only a holder with a different GitHub account is looked up
+    assert.deepEqual(findOne.mock.calls[0].arguments[0], {
+      githubUsername: "octocat",
+      githubId: { $ne: "2002" },
+    });
+    assert.equal(released, stale);
+    assert.equal(stale.githubUsername, "octocat~1001");
+    assert.equal(stale.githubId, "1001");
+    assert.equal(save.mock.callCount(), 1);
+    assert.equal(deleteOne.mock.callCount(), 0);
+  });
+
+  it("does nothing when no other account holds the login", async (t) => {
+    t.mock.method(User, "findOne", async () => null);
+
+    assert.equal(await User.releaseGitHubUsername("octocat", "2002"), null);
+  });
+});
+
+describe("User.findOrCreateFromGitHub", () => {
+  const duplicateKey = (keyPattern) =>
+    Object.assign(new Error("E11000 duplicate key"), {
+      code: 11000,
+      keyPattern,
+    });
+
+  it("frees a login held by another account before creating the placeholder", async (t) => {
+    const created = { githubId: "2002", githubUsername: "octocat" };
+    t.mock.method(User, "findOne", async () => null);
+    const create = t.mock.method(User, "create", async () => {
+      if (create.mock.callCount() === 0) {
+        throw duplicateKey({ githubUsername: 1 });
+      }
+      return created;
+    });
+    const release = t.mock.method(
+      User,
+      "releaseGitHubUsername",
+      async () => ({})
+    );
+
+    const user = await User.findOrCreateFromGitHub({
+      id: 2002,
+      login: "octocat",
+    });
+
+    assert.equal(user, created);
+    assert.deepEqual(release.mock.calls[0].arguments, ["octocat", "2002"]);
+  });
+
+  it("returns the account created concurrently for the same GitHub id", async (t) => {
+    const existing = { githubId: "2002" };
+    const findOne = t.mock.method(User, "findOne", async () =>
+      findOne.mock.callCount() === 0 ? null : existing
+    );
+    t.mock.method(User, "create", async () => {
+      throw duplicateKey({ githubId: 1 });
+    });
+    const release = t.mock.method(User, "releaseGitHubUsername");
+
+    const user = await User.findOrCreateFromGitHub({
+      id: 2002,
+      login: "octocat",
+    });
+
+    assert.equal(user, existing);
+    assert.equal(release.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import PullRequest from "../models/pull-request.model.js";
+import Issue from "../models/issue.model.js";
+
+const repository = { _id: new mongoose.Types.ObjectId() };
+const user = { _id: new mongoose.Types.ObjectId() };
+
+const pullRequestData = (overrides) => ({
+  id: 42,
+  number: 7,
+  title: "Add feature",
+  state: "open",
+  merged: false,
+  created_at: "2026-01-01T10:00:00Z",
+  updated_at: "2026-01-01T10:00:00Z",
+  ...overrides,
+});
+
+describe("PullRequest.createOrUpdateFromWebhook", () => {
+  it("ignores a delivery older than the stored pull request", async (t) => {
+    const stored = new PullRequest({
+      repository: repository._id,
+      user: user._id,
+      githubPrId: 42,
+      number: 7,
+      title: "Add feature",
+      state: "merged",
+      merged: true,
+      githubUpdatedAt: new Date("2026-01-02T10:00:00Z"),
+    });
+    t.mock.method(PullRequest, "findOne", async () => stored);
+    const save = t.mock.method(stored, "save", async () => stored);
+
+    const result = await PullRequest.createOrUpdateFromWebhook(
+      pullRequestData(),
+      repository,
+      user
+    );
+
+    assert.equal(result, stored);
+    assert.equal(stored.state, "merged");
+    assert.equal(stored.merged, true);
+    assert.equal(save.mock.callCount(), 0);
+  });
+
+  it("applies a newer delivery", async (t) => {
+    const stored = new PullRequest({
+      repository: repository._id,
+      user: user._id,
+      githubPrId: 42,
+      number: 7,
+      title: "Add feature",
+      state: "open",
+      githubUpdatedAt: new Date("2026-01-01T10:00:00Z"),
+    });
+    t.mock.method(PullRequest, "findOne", async () => stored);
+    t.mock.method(stored, "save", async () => stored);
+
+    await PullRequest.createOrUpdateFromWebhook(
+      pullRequestData({
+        state: "closed",
+        merged: true,
+        updated_at: "2026-01-02T10:00:00Z",
+      }),
+      repository,
+      user
+    );
+
+    assert.equal(stored.state, "merged");
+  });
+});
+
+describe("Issue.createOrUpdateFromWebhook", () => {
+  it("returns the stored issue when it is newer than the delivery", async (t) => {
+    const stored = { number: 3, state: "closed" };
+    const findOneAndUpdate = t.mock.method(
+      Issue,
+      "findOneAndUpdate",
+      async () => {
+        throw Object.assign(new Error("E11000 duplicate key"), {
+          code: 11000,
+        });
+      }
+    );
+    t.mock.method(Issue, "findOne", async () => stored);
+
+    const result = await Issue.createOrUpdateFromWebhook(
+      {
+        id: 99,
+        number: 3,
+        title: "Bug",
+        state: "open",
+        created_at: "2026-01-01T10:00:00Z",
+        updated_at: "2026-01-01T10:00:00Z",
+      },
+      repository,
+      user
+    );
+
+    assert.equal(result, stored);
+    // Only stored data at least as old as the delivery is updated
+    assert.deepEqual(
+      findOneAndUpdate.mock.calls[0].arguments[0].githubUpdatedAt,
+      {
+        $not: { $gt: new Date("2026-01-01T10:00:00Z") },
+      }
+    );
+  });
+});
@@ -0,0 +1,126 @@
+import crypto from "crypto";
+
+const ALGORITHM = "aes-256-gcm";
+const IV_LENGTH = 12;
+const ENCRYPTED_PATTERN = /^v(\d+):([^:]+):([^:]+):([^:]*)$/;
+
+/**
+ * Load encryption keys from TOKEN_ENCRYPTION_KEYS, formatted as
+ * "1:<base64 key>,2:<base64 key>". Read on every call so rotated keys are
+ * picked up from the environment without code changes
+ * @returns {Map<number, Buffer>} Keys by version
+ */
+const getKeys = () => {
+  const keys = new Map();
+
+  (process.env.TOKEN_ENCRYPTION_KEYS || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const [version, encodedKey] = entry.split(":");
+      const key = Buffer.from(encodedKey || "", "base64");
+      if (!/^\d+$/.test(version) || key.length !== 32) {
+        throw new Error(`Invalid token encryption key entry for v${version}`);
+      }
+      keys.set(Number(version), key);
+    });
+
+  return keys;
+};
+
+/**
+ * Get the key version new values are encrypted with, TOKEN_ENCRYPTION_KEY_VERSION
+ * or the highest configured version
+ * @returns {number} Current key version
+ */
+export const getCurrentKeyVersion = () => {
+  const keys = getKeys();
+  if (keys.size === 0) {
+    throw new Error("TOKEN_ENCRYPTION_KEYS not configured");
+  }
+
+  const version = process.env.TOKEN_ENCRYPTION_KEY_VERSION
+    ? Number(process.env.TOKEN_ENCRYPTION_KEY_VERSION)
+    : Math.max(...keys.keys());
+
+  if (!keys.has(version)) {
+    throw new Error(`Token encryption key v${version} not configured`);
+  }
+  return version;
+};
+
+/**
+ * Check whether a stored value is in our encrypted format
+ * @param {string} value - Stored value
+ * @returns {boolean}
+ */
+export const isEncrypted = (value) =>
+  typeof value === "string" && ENCRYPTED_PATTERN.test(value);
+
+/**
+ * Encrypt a value with the current key
+ * @param {string} plaintext - Value to encrypt
+ * @returns {string} "v<version>:<iv>:<auth tag>:<ciphertext>", base64 parts
+ */
+export const encrypt = (plaintext) => {
+  const version = getCurrentKeyVersion();
+  const key = getKeys().get(version);
+  const iv = crypto.randomBytes(IV_LENGTH);
+
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(plaintext, "utf8"),
+    cipher.final(),
+  ]);
+
+  return [
+    `v${version}`,
+    iv.toString("base64"),
+    cipher.getAuthTag().toString("base64"),
+    ciphertext.toString("base64"),
+  ].join(":");
+};
+
+/**
+ * Decrypt a value encrypted by encrypt(), with whichever key version it uses
+ * @param {string} value - Encrypted value
+ * @returns {string} Plaintext
+ */
+export const decrypt = (value) => {
+  const match = ENCRYPTED_PATTERN.exec(value || "");
+  if (!match) {
+    throw new Error("Value is not encrypted");
+  }
+
+  const [, version, iv, authTag, ciphertext] = match;
+  const key = getKeys().get(Number(version));
+  if (!key) {
+    throw new Error(`Token encryption key v${version} not configured`);
+  }
+
+  const decipher = crypto.createDecipheriv(
+    ALGORITHM,
+    key,
+    Buffer.from(iv, "base64")
+  );
+  decipher.setAuthTag(Buffer.from(authTag, "base64"));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, "base64")),
+    decipher.final(),
+  ]).toString("utf8");
+};
+
+/**
+ * Check whether a stored value should be (re-)encrypted with the current key
+ * @param {string} value - Stored value
+ * @returns {boolean}
+ */
+export const needsReencryption = (value) => {
+  if (!value) {
+    return false;
+  }
+  const match = ENCRYPTED_PATTERN.exec(value);
+  return !match || Number(match[1]) !== getCurrentKeyVersion();
+};
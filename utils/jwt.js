@@ -2,16 +2,20 @@ import jwt from "jsonwebtoken";
 
 const JWT_SECRET =
   process.env.JWT_SECRET || "your-super-secret-jwt-key-change-in-production";
-const JWT_EXPIRE = process.env.JWT_EXPIRE || "7d";
+// Access tokens are short-lived, clients renew them with a refresh token
+const JWT_EXPIRE = process.env.JWT_EXPIRE || "15m";
+const ACCESS_COOKIE_MAX_AGE = 15 * 60 * 1000;
 
 /**
  * Generate JWT token for user
  * @param {Object} user - User object with _id and email
+ * @param {Object|string} sessionId - Session the token belongs to
  * @returns {string} JWT token
  */
-export const generateToken = (user) => {
+export const generateToken = (user, sessionId) => {
   const payload = {
     userId: user._id.toString(),
+    sessionId: sessionId.toString(),
     email: user.email,
     githubId: user.githubId || null,
     onboardingComplete: user.onboardingComplete || false,
@@ -43,16 +47,81 @@ export const verifyToken = (token) => {
 
 /**
  * Generate cookie options for JWT
+ * @param {Object} overrides - Options to override, e.g. maxAge or path
  * @returns {Object} Cookie options
  */
-export const getCookieOptions = () => {
+export const getCookieOptions = (overrides = {}) => {
   const isProduction = process.env.NODE_ENV === "production";
 
   return {
     httpOnly: true, // Prevent XSS attacks
     secure: isProduction, // HTTPS only in production
     sameSite: isProduction ? "none" : "lax", // Use "none" for cross-origin in production
-    maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days in milliseconds
+    maxAge: ACCESS_COOKIE_MAX_AGE,
     path: "/",
+    ...overrides,
   };
 };
+
+/**
+ * Generate a signed OAuth state value
+ * @param {Object} payload - Nonce, client source, return path and PKCE challenge
+ * @returns {string} Signed state
+ */
+export const generateStateToken = (payload) => {
+  return jwt.sign(payload, JWT_SECRET, {
+    expiresIn: "10m",
+    issuer: "praise-backend",
+    audience: "github-oauth-state",
+  });
+};
+
+/**
+ * Verify a signed OAuth state value
+ * @param {string} state - State returned by GitHub
+ * @returns {Object|null} Decoded payload or null if invalid
+ */
+export const verifyStateToken = (state) => {
+  try {
+    return jwt.verify(state, JWT_SECRET, {
+      issuer: "praise-backend",
+      audience: "github-oauth-state",
+    });
+  } catch (error) {
+    console.error("OAuth state verification failed:", error.message);
+    return null;
+  }
+};
+
+/**
+ * Generate a signed repository invitation link token
+ * @param {Object} invitation - Invitation with _id and expiresAt
+ * @returns {string} Signed token
+ */
+export const generateInvitationToken = (invitation) => {
+  return jwt.sign({ invitationId: invitation._id.toString() }, JWT_SECRET, {
+    expiresIn: Math.max(
+      1,
+      Math.floor((invitation.expiresAt.getTime() - Date.now()) / 1000)
+    ),
+    issuer: "praise-backend",
+    audience: "repository-invitation",
+  });
+};
+
+/**
+ * Verify a repository invitation link token
+ * @param {string} token - Token from the invite link
+ * @returns {Object|null} Decoded payload or null if invalid or expired
+ */
+export const verifyInvitationToken = (token) => {
+  try {
+    return jwt.verify(token, JWT_SECRET, {
+      issuer: "praise-backend",
+      audience: "repository-invitation",
+    });
+  } catch (error) {
+    console.error("Invitation token verification failed:", error.message);
+    return null;
+  }
+};